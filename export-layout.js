@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/*
+ * Convert a layout from 'mapper-2d.js' for use with other LED tools: a CSV
+ * spreadsheet, an xLights custom model, a Pixelblaze pixel map, or a PLY
+ * point cloud. Run with --list to see how each one handles unmapped pixels.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license, see the accompanying LICENSE file.
+ */
+
+var layoutExport = require('./lib/layout-export.js');
+var fs = require('fs');
+var path = require('path');
+
+var opts = require("nomnom")
+   .option('format', {
+      position: 0,
+      help: 'Output format: ' + Object.keys(layoutExport.formats).join(', ')
+   })
+   .option('layout', {
+      abbr: 'l',
+      default: 'layout.json',
+      help: 'Layout from mapper-2d.js'
+   })
+   .option('config', {
+      default: 'fcserver.json',
+      help: 'fcserver config from mapper-2d.js, for device and strip numbers'
+   })
+   .option('channel', {
+      default: 0,
+      help: 'OPC channel of the layout, for Fadecandy pixels in the config and any that are not'
+   })
+   .option('output', {
+      abbr: 'o',
+      help: 'Output file [default: layout name with the format\'s extension]'
+   })
+   .option('plane', {
+      abbr: 'p',
+      default: 'xy',
+      help: 'Which 2D plane of the layout to use for 2D formats'
+   })
+   .option('dimensions', {
+      help: 'Write 2 or 3 coordinates, for formats that can do either [default: 3 if the layout isn\'t flat]'
+   })
+   .option('name', {
+      help: 'Model name, for formats that have one'
+   })
+   .option('list', {
+      flag: true,
+      help: 'List formats, and how each handles unmapped pixels'
+   })
+   .parse();
+
+
+if (opts.list || !opts.format) {
+    for (var name in layoutExport.formats) {
+        var format = layoutExport.formats[name];
+        console.log(name + " (" + format.extension + "): " + format.description);
+        console.log("    Unmapped pixels: " + format.gaps);
+    }
+    process.exit(opts.list ? 0 : 1);
+}
+
+var layout = JSON.parse(fs.readFileSync(opts.layout));
+var config = fs.existsSync(opts.config) ? JSON.parse(fs.readFileSync(opts.config)) : {};
+var infos = layoutExport.ledInfoMap(layout, config, opts.channel);
+
+var exporter = layoutExport.formats[opts.format];
+var output = opts.output || (exporter
+    ? path.basename(opts.layout, path.extname(opts.layout)) + exporter.extension : null);
+
+try {
+    var text = layoutExport.write(opts.format, layout, infos, {
+        plane: opts.plane,
+        dimensions: opts.dimensions,
+        name: opts.name || path.basename(opts.layout, path.extname(opts.layout)),
+    });
+} catch (e) {
+    console.log(e);
+    process.exit(1);
+}
+
+if (output == opts.layout) {
+    console.log("Not overwriting the layout with " + output + ", pick another --output");
+    process.exit(1);
+}
+
+var mapped = layout.filter(function (entry) { return entry && entry.point; }).length;
+fs.writeFileSync(output, text);
+console.log("Wrote " + mapped + " of " + layout.length + " pixels to " + output);
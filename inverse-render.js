@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/*
+ * Inverse rendering: find the LED colors that best reproduce a target image,
+ * using the per-LED lightmaps gathered by 'photographer.js'. The target needs
+ * to line up with the camera's view, for example a photo edited in place.
+ *
+ * Writes one Open Pixel Control frame, in the OPC pixel order of the fcserver
+ * config from 'mapper-2d.js'. It's a complete message including the header, so
+ * it can be written as-is to an OPC socket, or sent with --opc. Colors are raw
+ * pixel values; don't apply layout gains to them, the lightmaps already know
+ * how bright each LED is.
+ *
+ * Only LEDs photographed one at a time have lightmaps. Any others, such as
+ * LEDs mapped with Gray codes or in parallel groups, are sent as black.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license, see the accompanying LICENSE file.
+ */
+
+var preview = require('./lib/preview.js');
+var develop = require('./lib/develop.js');
+var OPC = require('./lib/opc.js');
+var fs = require('fs');
+var path = require('path');
+var aWrite = require('atomic-write');
+
+var opts = require("nomnom")
+   .option('data', {
+      position: 0,
+      required: true,
+      help: 'Data directory from photographer.js, with photos.json and lightmaps'
+   })
+   .option('target', {
+      position: 1,
+      required: true,
+      help: 'Target image, aligned with the camera view'
+   })
+   .option('config', {
+      default: 'fcserver.json',
+      help: 'fcserver config from mapper-2d.js'
+   })
+   .option('channel', {
+      help: 'OPC channel to solve for, if the data has several or the config maps Fadecandy pixels on another'
+   })
+   .option('output', {
+      abbr: 'o',
+      default: 'frame.opc',
+      help: 'Output OPC message'
+   })
+   .option('json', {
+      help: 'Also write the frame as a JSON array of [r, g, b] pixels'
+   })
+   .option('preview', {
+      help: 'Also render the result to a PNG, for comparison with the target'
+   })
+   .option('opc', {
+      metavar: 'HOST:PORT',
+      help: 'Send the frame to an OPC server'
+   })
+   .option('iterations', {
+      default: 50,
+      help: 'Maximum number of solver passes over every LED'
+   })
+   .option('scale', {
+      default: 2,
+      help: 'Log2 of how much to downsample lightmaps and the target by'
+   })
+   .option('exposure', {
+      help: 'Brightness multiplier the target was made with [default: brightest LED just reaches white]'
+   })
+   .option('gamma', {
+      default: preview.DEFAULT_GAMMA,
+      help: 'Gamma the LED server applies to pixel values'
+   })
+   .option('background', {
+      flag: true,
+      default: true,
+      help: 'Account for ambient light in the dark frame, use --no-background to ignore it'
+   })
+   .option('blacklevel', {
+      default: preview.DEFAULT_BLACKLEVEL,
+      help: 'Black level for the dark frame, the same --blacklevel photographer.js used'
+   })
+   .parse();
+
+
+var config = fs.existsSync(opts.config) ? JSON.parse(fs.readFileSync(opts.config)) : {};
+var jPhotos = JSON.parse(fs.readFileSync(path.join(opts.data, 'photos.json')));
+var pixelMap = preview.pixelMap(config, jPhotos, opts.channel);
+
+function fail(err) {
+    console.log(err);
+    process.exit(1);
+}
+
+preview.load(opts.data, {
+    scale: opts.scale,
+    gamma: opts.gamma,
+    background: opts.background,
+    blacklevel: opts.blacklevel,
+}, function (err, renderer) {
+    if (err) return fail(err);
+
+    develop.readDeveloped(opts.target, function (err, data) {
+        if (err) return fail(err);
+
+        try {
+            var target = renderer.fromPNM(data, opts.exposure);
+        } catch (e) {
+            return fail(e);
+        }
+
+        console.log("Solving for " + Object.keys(renderer.leds).length + " LEDs at " +
+            renderer.width + "x" + renderer.height);
+        if (renderer.missing.length) {
+            console.log("Sending black to " + renderer.missing.length + " LEDs without lightmaps");
+        }
+        var result = renderer.solve(target, opts.iterations);
+        console.log("RMS error: " + result.error.map(function (e) {
+            return (e * (opts.exposure || renderer.exposure)).toFixed(4);
+        }).join(', '));
+
+        // Only used to build the OPC message
+        var client = new OPC();
+        client.channel = opts.channel ? opts.channel|0 : 0;
+        client.setPixelCount(pixelMap.length);
+        var pixels = [];
+        for (var i = 0; i < pixelMap.length; i++) {
+            var rgb = (pixelMap[i] && result.colors[pixelMap[i].string]) || [0, 0, 0];
+            client.setPixel(i, rgb[0], rgb[1], rgb[2]);
+            pixels.push(rgb);
+        }
+
+        aWrite.writeFile(opts.output, client.pixelBuffer, function (err) {
+            if (err) return fail(err);
+            console.log("Wrote " + pixelMap.length + " pixels to " + opts.output);
+
+            if (opts.json) {
+                fs.writeFileSync(opts.json, JSON.stringify(pixels));
+            }
+
+            if (opts.preview) {
+                var image = renderer.renderOPC(client.pixelBuffer.slice(4), pixelMap);
+                develop.writePNG(opts.preview, renderer.toPNM(image, opts.exposure), function (err) {
+                    if (err) return fail(err);
+                });
+            }
+
+            if (opts.opc) {
+                var parts = opts.opc.split(':');
+                var sender = new OPC(parts[0], parts[1] ? parseInt(parts[1], 10) : 7890);
+                sender.pixelBuffer = client.pixelBuffer;
+                sender.connect(function (err) {
+                    if (err) return fail(err);
+                    sender.writePixels(function (err) {
+                        if (err) return fail(err);
+                        console.log("Sent frame to " + opts.opc);
+                        sender.socket.end();
+                    });
+                });
+            }
+        });
+    });
+});
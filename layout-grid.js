@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/*
+ * Check whether a mapped layout is a regular grid, like a rectangular LED
+ * matrix, and if so snap it to one.
+ *
+ * The lattice pitch, rotation and size are estimated from the layout from
+ * 'mapper-2d.js', and each LED gets integer 'column' and 'row' numbers and a
+ * 'point' exactly on the lattice. Its measured position is kept as 'measured'.
+ *
+ * The new layout and fcserver config number the grid in row-major order, so
+ * OPC pixel (row * columns + column) is that cell, and empty cells are gaps.
+ * LEDs that don't fit the grid come after the last cell, at their measured
+ * positions, and are listed so you can check them.
+ *
+ * Only Fadecandy pixels can be renumbered this way. Plain OPC pixels are left
+ * out of the new layout.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license, see the accompanying LICENSE file.
+ */
+
+var fadecandy = require('./lib/fadecandy.js');
+var gridFit = require('./lib/grid-fit.js');
+var sprintf = require('sprintf-js').sprintf;
+var fs = require('fs');
+
+var opts = require("nomnom")
+   .option('layout', {
+      abbr: 'l',
+      default: 'layout.json',
+      help: 'Layout from mapper-2d.js'
+   })
+   .option('config', {
+      default: 'fcserver.json',
+      help: 'fcserver config from mapper-2d.js'
+   })
+   .option('channel', {
+      default: 0,
+      help: 'OPC channel the config maps Fadecandy pixels on'
+   })
+   .option('plane', {
+      abbr: 'p',
+      default: 'xy',
+      help: 'Which 2D plane of the layout the grid is in'
+   })
+   .option('tolerance', {
+      abbr: 't',
+      default: gridFit.DEFAULT_TOLERANCE,
+      help: 'LEDs further than this from a grid point don\'t fit, in multiples of the pitch'
+   })
+   .option('minfit', {
+      default: 0.9,
+      help: 'Fraction of LEDs that need to fit to call it a grid'
+   })
+   .option('units', {
+      choices: [ 'layout', 'grid' ],
+      default: 'layout',
+      help: 'Snapped points in layout units, or as [column, row, 0]'
+   })
+   .option('output', {
+      abbr: 'o',
+      default: 'grid-layout.json',
+      help: 'New layout, in grid order'
+   })
+   .option('outconfig', {
+      default: 'grid-fcserver.json',
+      help: 'New fcserver config, in grid order'
+   })
+   .option('report', {
+      help: 'Optional JSON file for the lattice and every LED\'s fit'
+   })
+   .option('force', {
+      abbr: 'f',
+      flag: true,
+      help: 'Write the outputs even if the layout doesn\'t look like a grid'
+   })
+   .parse();
+
+
+var AXES = { x: 0, y: 1, z: 2 };
+
+var layout = JSON.parse(fs.readFileSync(opts.layout));
+var config = JSON.parse(fs.readFileSync(opts.config));
+var devicePixels = fadecandy.devicePixelsFromConfig(config, opts.channel|0);
+
+// Mapped Fadecandy pixels, by their index in the layout
+var indices = [];
+var plainCount = 0;
+layout.forEach(function (entry, index) {
+    if (entry && entry.point) {
+        if (devicePixels[index]) {
+            indices.push(index);
+        } else {
+            plainCount++;
+        }
+    }
+});
+
+var points = indices.map(function (index) {
+    var p = layout[index].point;
+    return [ p[AXES[opts.plane[0]]], p[AXES[opts.plane[1]]] ];
+});
+
+try {
+    var grid = gridFit.fit(points, { tolerance: opts.tolerance });
+} catch (e) {
+    console.log(e);
+    process.exit(1);
+}
+
+var fraction = grid.fitCount / points.length;
+console.log(sprintf("Grid of %d columns x %d rows, pitch %.3f x %.3f, rotated %.2f degrees",
+    grid.columns, grid.rows, grid.pitch[0], grid.pitch[1], grid.rotation));
+console.log(sprintf("%d of %d LEDs fit (%.1f%%), %d of %d grid cells filled",
+    grid.fitCount, points.length, fraction * 100, grid.fitCount, grid.columns * grid.rows));
+
+var misfits = [];
+grid.cells.forEach(function (cell, i) {
+    if (!cell.fits) {
+        var info = devicePixels[indices[i]];
+        misfits.push(info.string);
+        console.log(sprintf("%s doesn't fit: %.2f pitches from column %d, row %d",
+            info.string, cell.residual, cell.column, cell.row));
+    }
+});
+if (plainCount) {
+    console.log(plainCount + " plain OPC pixels aren't in " + opts.config + ", so they're left out");
+}
+
+if (opts.report) {
+    fs.writeFileSync(opts.report, JSON.stringify({
+        lattice: grid.lattice,
+        pitch: grid.pitch,
+        rotation: grid.rotation,
+        columns: grid.columns,
+        rows: grid.rows,
+        leds: grid.cells.map(function (cell, i) {
+            return {
+                led: devicePixels[indices[i]].string,
+                opcIndex: indices[i],
+                column: cell.column,
+                row: cell.row,
+                residual: cell.residual,
+                fits: cell.fits,
+            };
+        }),
+        misfits: misfits,
+    }, null, '\t') + '\n');
+}
+
+if (fraction < opts.minfit && !opts.force) {
+    console.log(sprintf("Doesn't look like a grid: fewer than %.0f%% of LEDs fit. Use --force to write it anyway",
+        opts.minfit * 100));
+    process.exit(1);
+}
+
+function planePoint(measured, x, y) {
+    // Move a measured point within the layout plane, keeping its other coordinate
+
+    var point = [ measured[0], measured[1], measured[2] || 0 ];
+    point[AXES[opts.plane[0]]] = x;
+    point[AXES[opts.plane[1]]] = y;
+    return point;
+}
+
+// New config with the old settings and device options, but none of the old maps
+var base = {};
+for (var key in config) {
+    if (key != 'devices') {
+        base[key] = config[key];
+    }
+}
+var cf = new fadecandy.ConfigFactory({ base: base });
+(config.devices || []).forEach(function (node) {
+    if (node.type == 'fadecandy') {
+        cf.setDeviceOptions(node.serial, node);
+        if (node.color) {
+            cf.setDeviceColor(node.serial, node.color);
+        }
+    }
+});
+
+// Grid cells first in row-major order, then LEDs that don't fit
+var order = [];
+var nextIndex = grid.columns * grid.rows;
+grid.cells.forEach(function (cell, i) {
+    var newIndex = cell.fits ? cell.row * grid.columns + cell.column : nextIndex++;
+    order.push({ newIndex: newIndex, i: i });
+});
+order.sort(function (a, b) { return a.newIndex - b.newIndex; });
+
+var output = [];
+order.forEach(function (item) {
+    var cell = grid.cells[item.i];
+    var entry = JSON.parse(JSON.stringify(layout[indices[item.i]]));
+    var info = devicePixels[indices[item.i]];
+
+    if (cell.fits) {
+        entry.measured = entry.point;
+        entry.point = opts.units == 'grid' ? [ cell.column, cell.row, 0 ] : planePoint(entry.measured, cell.point[0], cell.point[1]);
+        entry.column = cell.column;
+        entry.row = cell.row;
+    }
+
+    output[cf.mapPixel(info.device, info.index, {
+        channel: opts.channel|0,
+        colorOrder: info.colorOrder,
+        opcIndex: item.newIndex,
+    })] = entry;
+});
+
+fs.writeFileSync(opts.outconfig, JSON.stringify(cf.json, null, '\t') + '\n');
+fs.writeFileSync(opts.output, JSON.stringify(output, null, '\t') + '\n');
+console.log("Wrote " + opts.output + " and " + opts.outconfig);
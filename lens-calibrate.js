@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/*
+ * Calibrate the camera lens from photos of a checkerboard, so 'mapper-2d.js'
+ * can take lens distortion out of LED positions.
+ *
+ * Shoot a printed checkerboard, held flat, from a dozen or so angles, filling
+ * different parts of the frame. Use the same camera, lens, zoom, and focus as
+ * the mapping sessions. RAW photos are developed at the same size as the
+ * lightmaps from 'photographer.js'.
+ *
+ * The result is a lens.json file that works for any session shot with that
+ * lens. Store it with a session using --data, or pass it to mapper-2d.js.
+ *
+ * Needs a node-opencv build with the calib3d bindings.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license, see the accompanying LICENSE file.
+ */
+
+var develop = require('./lib/develop.js');
+var lens = require('./lib/lens.js');
+var cv = require('opencv');
+var async = require('async');
+var fs = require('fs');
+var path = require('path');
+var sprintf = require('sprintf-js').sprintf;
+
+var opts = require("nomnom")
+   .option('photos', {
+      position: 0,
+      required: true,
+      list: true,
+      help: 'Photos of the checkerboard'
+   })
+   .option('board', {
+      abbr: 'b',
+      default: '9x6',
+      help: 'Number of inner corners on the checkerboard, across and down'
+   })
+   .option('square', {
+      default: 1,
+      help: 'Size of each checkerboard square, in any units'
+   })
+   .option('output', {
+      abbr: 'o',
+      default: lens.DEFAULT_FILENAME,
+      help: 'Calibration file to write'
+   })
+   .option('data', {
+      abbr: 'd',
+      list: true,
+      help: 'Also store the calibration in these photographer.js data directories'
+   })
+   .parse();
+
+
+var MIN_VIEWS = 3;
+
+var board = /^(\d+)x(\d+)$/.exec(opts.board);
+if (!board) {
+    console.log("Can't parse board size: " + opts.board);
+    process.exit(1);
+}
+var columns = parseInt(board[1], 10);
+var rows = parseInt(board[2], 10);
+
+if (!cv.calib3d) {
+    console.log("This build of node-opencv doesn't have the calib3d bindings needed for calibration");
+    process.exit(1);
+}
+
+function boardPoints()
+{
+    // Corner positions on the flat checkerboard, in the order OpenCV finds them
+
+    var points = [];
+    for (var y = 0; y < rows; y++) {
+        for (var x = 0; x < columns; x++) {
+            points.push({ x: x * opts.square, y: y * opts.square, z: 0 });
+        }
+    }
+    return points;
+}
+
+function findCorners(photo, callback)
+{
+    // Calls back with { size, corners } for one photo, or null corners if the board wasn't found
+
+    async.waterfall([
+        async.apply(develop.displayImage, photo),
+        cv.readImage,
+
+        function (img, callback) {
+            img.convertGrayscale();
+            var result = cv.calib3d.findChessboardCorners(img, [ columns, rows ]);
+            var size = { width: img.width(), height: img.height() };
+
+            console.log(sprintf("%s: %s", photo, result.found ? "found " + result.corners.length + " corners"
+                : "no checkerboard"));
+            callback(null, { size: size, corners: result.found ? result.corners : null });
+        }
+
+    ], callback);
+}
+
+async.mapSeries(opts.photos, findCorners, function (err, results) {
+    if (err) {
+        console.log(err);
+        process.exit(1);
+    }
+
+    var size = null;
+    var objectPoints = [];
+    var imagePoints = [];
+    var used = [];
+
+    for (var i = 0; i < results.length; i++) {
+        var r = results[i];
+        size = size || r.size;
+        if (r.size.width != size.width || r.size.height != size.height) {
+            console.log("Photo " + opts.photos[i] + " isn't the same size as the others");
+            process.exit(1);
+        }
+        if (r.corners) {
+            objectPoints.push(boardPoints());
+            imagePoints.push(r.corners);
+            used.push(path.basename(opts.photos[i]));
+        }
+    }
+
+    if (used.length < MIN_VIEWS) {
+        console.log("Found the checkerboard in " + used.length + " photos, need at least " + MIN_VIEWS);
+        process.exit(1);
+    }
+
+    var calibration = cv.calib3d.calibrateCamera(objectPoints, imagePoints, [ size.width, size.height ]);
+
+    var cameraMatrix = [];
+    for (var row = 0; row < 3; row++) {
+        cameraMatrix.push([ 0, 1, 2 ].map(function (col) {
+            return calibration.K.get(row, col);
+        }));
+    }
+    var distortion = [];
+    for (var j = 0; j < 5; j++) {
+        distortion.push(calibration.distortion.get(0, j));
+    }
+
+    var json = {
+        imageSize: size,
+        cameraMatrix: cameraMatrix,
+        distortion: distortion,
+        rms: calibration.reprojectionError,
+        board: { columns: columns, rows: rows, square: opts.square },
+        photos: used,
+    };
+
+    console.log(sprintf("Calibrated from %d photos, RMS reprojection error %.3f pixels", used.length, json.rms));
+    console.log(sprintf("Focal length %.1f x %.1f, center %.1f, %.1f, distortion [ %s ]",
+        cameraMatrix[0][0], cameraMatrix[1][1], cameraMatrix[0][2], cameraMatrix[1][2],
+        distortion.map(function (d) { return d.toFixed(5); }).join(', ')));
+
+    var text = JSON.stringify(json, null, '\t') + '\n';
+    fs.writeFileSync(opts.output, text);
+    (opts.data || []).forEach(function (dir) {
+        fs.writeFileSync(path.join(dir, lens.DEFAULT_FILENAME), text);
+        console.log("Stored calibration with " + dir);
+    });
+});
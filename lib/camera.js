@@ -0,0 +1,175 @@
+/*
+ * camera.js - Interchangeable camera backends for photographer.js
+ *
+ * Every backend opens asynchronously and yields a camera object with:
+ *
+ *   camera.model                                 Human-readable description
+ *   camera.capture(name, callback)               Take a photo for the named LED or frame,
+ *                                                callback(err, data, extension)
+ *   camera.setConfigValue(key, value, callback)  Change a camera setting, if supported
+ *
+ * Backends:
+ *
+ *   gphoto    A real camera, attached via gphoto2
+ *   replay    Serves pre-recorded photos from a directory, keyed by name. Files may
+ *             be named "raw-<name>.<ext>" like a photographer.js data directory,
+ *             or just "<name>.<ext>". RAW files as well as PNG/PNM images work.
+ *   synthetic Renders photos of a synthetic-scene.js scene, lit according to
+ *             whichever pixels a mock-fcserver.js server was last sent.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var fs = require('fs');
+    var path = require('path');
+    var pnm = require('./pnm.js');
+
+    var camera = {};
+
+    camera.backends = {};
+
+    camera.open = function (options, callback) {
+        // Open the camera backend named by options.backend, with backend-specific options
+
+        var backend = camera.backends[options.backend || 'gphoto'];
+        if (!backend) {
+            return callback("Unknown camera backend: " + options.backend);
+        }
+        backend(options, callback);
+    }
+
+    camera.backends.gphoto = function (options, callback) {
+        // Talk to the first camera gphoto2 finds
+
+        var GPhoto = require('gphoto2');
+        var gphoto = new GPhoto.GPhoto2();
+
+        gphoto.list( function (cameras) {
+            var cam = cameras[0];
+            if (!cam) {
+                return callback("No camera found: Make sure it's connected and awake");
+            }
+
+            console.log("Connected to " + cam.model)
+            console.log("Setting up camera...");
+
+            // Capture images to internal RAM
+            cam.setConfigValue("capturetarget", 0, function (err) {
+                if (err) return callback(err);
+                console.log("Camera configured successfully");
+
+                callback(null, {
+                    model: cam.model,
+
+                    capture: function (name, callback) {
+                        cam.takePicture({download: true}, function (err, image) {
+                            if (err) return callback(err);
+                            callback(null, image, options.extension || '.CR2');
+                        });
+                    },
+
+                    setConfigValue: function (key, value, callback) {
+                        cam.setConfigValue(key, value, callback);
+                    },
+                });
+            });
+        });
+    }
+
+    camera.backends.replay = function (options, callback) {
+        // Play back photos from a directory instead of taking new ones
+
+        var dir = options.replay;
+        if (!dir) {
+            return callback("The replay camera needs a directory of photos to replay");
+        }
+
+        fs.readdir(dir, function (err, files) {
+            if (err) return callback(err);
+
+            // Index files by name, preferring the "raw-" prefixed names from a data directory
+            var index = {};
+            files.sort().forEach(function (file) {
+                var ext = path.extname(file);
+                var name = path.basename(file, ext);
+                var match = /^raw-(.*)$/.exec(name);
+
+                if (match) {
+                    index[match[1]] = file;
+                } else if (!(name in index)) {
+                    index[name] = file;
+                }
+            });
+
+            console.log("Replaying " + Object.keys(index).length + " photos from " + dir);
+
+            callback(null, {
+                model: 'Replay of ' + dir,
+
+                capture: function (name, callback) {
+                    var file = index[name];
+                    if (!file) {
+                        return callback("No recorded photo for " + name + " in " + dir);
+                    }
+                    fs.readFile(path.join(dir, file), function (err, data) {
+                        if (err) return callback(err);
+                        callback(null, data, path.extname(file));
+                    });
+                },
+
+                setConfigValue: function (key, value, callback) {
+                    // Recorded photos can't be changed; settings are ignored
+                    callback();
+                },
+            });
+        });
+    }
+
+    camera.backends.synthetic = function (options, callback) {
+        // Photograph a synthetic scene, as lit by an in-process mock fcserver
+
+        var scene = options.scene;
+        var server = options.fcserver;
+
+        if (!scene || !server) {
+            return callback("The synthetic camera needs a scene and a mock fcserver");
+        }
+
+        callback(null, {
+            model: 'Synthetic scene with ' + Object.keys(scene.leds).length + ' LEDs',
+
+            capture: function (name, callback) {
+                var lit = [];
+                scene.serials.forEach(function (serial) {
+                    if (!server.devices[serial]) {
+                        // Unplugged devices are dark
+                        return;
+                    }
+                    var pixels = server.devices[serial].pixels;
+                    server.litPixels(serial).forEach(function (index) {
+                        lit.push({
+                            device: serial,
+                            index: index,
+                            level: Math.max(pixels[3*index], pixels[3*index + 1], pixels[3*index + 2]) / 255,
+                        });
+                    });
+                });
+
+                var image = pnm.format(scene.render(lit));
+                setImmediate(function () {
+                    callback(null, image, '.ppm');
+                });
+            },
+
+            setConfigValue: function (key, value, callback) {
+                callback();
+            },
+        });
+    }
+
+    module.exports = camera;
+
+}());
@@ -0,0 +1,172 @@
+/*
+ * develop.js - Turns photos into linear image data, with dcraw for RAW files
+ *              and netpbm for already-developed images, and writes PNGs.
+ *
+ * Shared by the image processing workers and other tools that read lightmaps.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+var async = require('async');
+var childProcess = require('child_process');
+var fs = require('fs');
+var path = require('path');
+var which = require('which');
+var aWrite = require('atomic-write');
+var pnm = require('./pnm.js');
+
+// Paths to command line tools, looked up the first time each one is needed,
+// so tools that only sometimes develop photos can run without them installed
+var toolPaths = {};
+
+// Already-developed image formats, which skip dcraw. Everything else is treated as RAW.
+var DEVELOPED_FORMATS = ['.png', '.pgm', '.ppm', '.pnm'];
+
+
+function runTool(name, args, callback) {
+    // Run a command line tool, calling back with its output. Returns the child process, if it started.
+
+    try {
+        toolPaths[name] = toolPaths[name] || which.sync(name);
+    } catch (e) {
+        callback(e);
+        return null;
+    }
+
+    return childProcess.execFile(toolPaths[name], args, {
+        encoding: 'binary',
+        maxBuffer: 100 * 1024 * 1024
+    }, function (err, stdout, stderr) {
+        if (err) return callback(err);
+        callback(null, new Buffer(stdout, 'binary'));
+    });
+}
+
+function isRawFile(filePath) {
+    return DEVELOPED_FORMATS.indexOf(path.extname(filePath).toLowerCase()) < 0;
+}
+
+function readDeveloped(filePath, callback) {
+    // Read a developed image file as PNM data
+
+    if (path.extname(filePath).toLowerCase() != '.png') {
+        return fs.readFile(filePath, callback);
+    }
+
+    runTool('pngtopnm', [filePath], callback);
+}
+
+function subtractDark(rawPath, darkPath, blacklevel, callback) {
+    /*
+     * The equivalent of dcraw's dark frame and black level subtraction,
+     * for images that are already developed. There's no denoising or
+     * half-size interpolation; these images are used as-is.
+     *
+     * With no darkPath, only the black level is subtracted.
+     */
+
+    async.map(darkPath ? [rawPath, darkPath] : [rawPath], readDeveloped, function (err, data) {
+        if (err) return callback(err);
+
+        try {
+            var image = pnm.parse(data[0]);
+            var dark = darkPath ? pnm.parse(data[1]) : null;
+        } catch (e) {
+            return callback(e);
+        }
+
+        if (dark && (image.width != dark.width || image.height != dark.height || image.channels != dark.channels)) {
+            return callback("Dark frame " + darkPath + " doesn't match the size of " + rawPath);
+        }
+
+        for (var i = 0; i < image.data.length; i++) {
+            image.data[i] = Math.max(0, image.data[i] - (dark ? dark.data[i] : 0) - blacklevel);
+        }
+
+        callback(null, pnm.format(image));
+    });
+}
+
+function linearImage(rawPath, darkPath, denoise, blacklevel, callback) {
+    // Develop a RAW photo into a linear 16-bit PPM with the dark frame, if any, subtracted
+
+    if (!isRawFile(rawPath)) {
+        return subtractDark(rawPath, darkPath, blacklevel, callback);
+    }
+
+    runTool('dcraw', [
+        '-4', '-j', '-h', '-c',
+        '-n', denoise,
+        '-k', blacklevel,
+    ].concat(darkPath ? ['-K', darkPath] : []).concat([
+        rawPath
+    ]), callback);
+}
+
+function displayImage(rawPath, callback) {
+    /*
+     * Develop a RAW photo into an ordinary 8-bit gamma corrected PPM, for
+     * feature detection. It's the same size and geometry as linearImage().
+     */
+
+    if (!isRawFile(rawPath)) {
+        return readDeveloped(rawPath, callback);
+    }
+
+    runTool('dcraw', [
+        '-w', '-j', '-h', '-c',
+        rawPath
+    ], callback);
+}
+
+function linearLuminance(frame, denoise, blacklevel, callback) {
+    // Develop one {rawPath, darkPath} frame into a parsed luminance plane
+
+    linearImage(frame.rawPath, frame.darkPath, denoise, blacklevel, function (err, data) {
+        if (err) return callback(err);
+        try {
+            var image = pnm.parse(data);
+        } catch (e) {
+            return callback(e);
+        }
+        callback(null, {
+            width: image.width,
+            height: image.height,
+            data: pnm.luminance(image),
+        });
+    });
+}
+
+function encodePNG(data, callback) {
+    // Compress PNM data to PNG, calling back with a Buffer
+
+    var child = runTool('pnmtopng', ['-'], callback);
+    if (!child) {
+        return;
+    }
+
+    child.stdin.write(data, function (err) {
+        if (err) return callback(err);
+        child.stdin.end();
+    });
+}
+
+function writePNG(outputPath, data, callback) {
+    // Compress PNM data to PNG, and save it to a specific path
+
+    encodePNG(data, function (err, png) {
+        if (err) return callback(err);
+        aWrite.writeFile(outputPath, png, callback);
+    });
+}
+
+module.exports = {
+    isRawFile: isRawFile,
+    readDeveloped: readDeveloped,
+    linearImage: linearImage,
+    displayImage: displayImage,
+    linearLuminance: linearLuminance,
+    encodePNG: encodePNG,
+    writePNG: writePNG,
+};
@@ -3,8 +3,15 @@
  *                this is a WebSocket client which uses the native fcserver API,
  *                capable of detecting and configuring specific attached devices.
  *
- * Not ready for general-purpose use yet; so far this is pretty minimal, and doesn't
- * handle devices connecting or disconnecting at runtime.
+ * Not ready for general-purpose use yet; so far this is pretty minimal.
+ *
+ * The connection tracks devices as they're plugged in or removed at runtime, and
+ * reconnects if fcserver goes away. It's an EventEmitter with these events:
+ *
+ *   'connect' (device)       A Fadecandy device appeared
+ *   'disconnect' (device)    A Fadecandy device went away
+ *   'lost'                   The connection to fcserver closed; we'll keep retrying
+ *   'reconnect'              We're talking to fcserver again
  *
  * Copyright (c) 2015 Micah Scott
  * Released under the MIT license.
@@ -13,12 +20,14 @@
 (function () {
 
     var WebSocket = require('ws');
+    var events = require('events');
     var async = require('async');
     var sprintf = require('sprintf-js').sprintf;
 
     var fadecandy = {};
 
     fadecandy.DEFAULT_TIMEOUT = 4000;
+    fadecandy.RECONNECT_INTERVAL = 1000;
     fadecandy.LEDS_PER_DEVICE = 512;
     fadecandy.LEDS_PER_STRIP = 64;
 
@@ -54,17 +63,100 @@
         return results;
     }
 
-    fadecandy.ConfigFactory = function() {
+    fadecandy.devicePixelsFromConfig = function(json, channel) {
+        /*
+         * Invert the mappings in an fcserver config, returning an array indexed
+         * by OPC pixel with ledInfo() objects for the device pixel it drives,
+         * plus a 'colorOrder' if the mapping has one. Understands the mappings
+         * ConfigFactory generates, on one OPC channel [default: 0], including
+         * reversed runs with a negative pixel count.
+         */
+
+        var results = [];
+        var devices = json.devices || [];
+        channel = channel || 0;
+
+        for (var i = 0; i < devices.length; i++) {
+            var map = devices[i].map || [];
+            for (var j = 0; j < map.length; j++) {
+                var m = map[j];
+                if (m.length < 4 || m[0] != channel) {
+                    continue;
+                }
+                var direction = m[3] < 0 ? -1 : 1;
+                for (var k = 0; k < Math.abs(m[3]); k++) {
+                    var info = fadecandy.ledInfo(devices[i].serial, m[2] + k * direction);
+                    if (m[4]) {
+                        info.colorOrder = m[4];
+                    }
+                    results[m[1] + k] = info;
+                }
+            }
+        }
+
+        return results;
+    }
+
+    fadecandy.DEVICE_OPTIONS = [ 'led', 'dither', 'interpolate' ];
+
+    fadecandy.ConfigFactory = function(options) {
+        /*
+         * Build an fcserver config. Options, all optional:
+         *
+         *   listen         [ host, port ] for fcserver to listen on
+         *   verbose        Whether fcserver logs verbosely
+         *   color          Global color correction, { gamma, whitepoint, linearSlope, linearCutoff }
+         *   base           An existing fcserver config to merge into. Its settings are
+         *                  kept unless overridden here, and so are its devices, except
+         *                  that a device's map is replaced once we map a pixel on it.
+         *                  New OPC pixels come after all the ones still in use, and
+         *                  reusePixels() gives a device its old ones back.
+         */
+
+        options = options || {};
+        var base = options.base || {};
         var config = {};
 
         config.json = {
-            listen: [ "127.0.0.1", 7890 ],
-            verbose: true,
-            color: { gamma: 2.5, whitepoint: [ 1, 1, 1 ] },
-            devices: []
+            listen: options.listen || base.listen || [ "127.0.0.1", 7890 ],
+            verbose: options.verbose != undefined ? options.verbose : base.verbose != undefined ? base.verbose : true,
+            color: options.color || base.color || { gamma: 2.5, whitepoint: [ 1, 1, 1 ] },
+            devices: JSON.parse(JSON.stringify(base.devices || [])),
         };
+        for (var key in base) {
+            if (!(key in config.json)) {
+                config.json[key] = base[key];
+            }
+        }
 
-        config.opcPixelCount = 0;
+        // Lowest OPC pixel to allocate next on each channel, if the maps don't already use more
+        config.opcPixelCounts = {};
+
+        // OPC pixels that devices from the base config are getting back, by serial and channel
+        var reserved = {};
+
+        function nextFreePixel(channel) {
+            // First OPC pixel after every one in a map or reserved, on one channel
+
+            var next = config.opcPixelCounts[channel] || 0;
+            config.json.devices.forEach(function (node) {
+                (node.map || []).forEach(function (m) {
+                    if (m.length >= 4 && m[0] == channel) {
+                        next = Math.max(next, m[1] + Math.abs(m[3]));
+                    }
+                });
+            });
+            for (var serial in reserved) {
+                var indices = reserved[serial][channel] || [];
+                if (indices.length) {
+                    next = Math.max(next, indices[indices.length - 1] + 1);
+                }
+            }
+            return next;
+        }
+
+        // Devices whose maps we've started over this session
+        var remapped = {};
 
         config.mapDevice = function (serial) {
             /*
@@ -84,29 +176,110 @@
             return node;
         }
 
-        config.mapPixel = function (device, index) {
+        config.isRemapped = function (serial) {
+            // Has this device been mapped here, rather than kept from the base config?
+            return !!remapped[serial];
+        }
+
+        config.setDeviceOptions = function (serial, options) {
+            // Set any of the per-device 'led', 'dither' and 'interpolate' options
+
+            var node = config.mapDevice(serial);
+            fadecandy.DEVICE_OPTIONS.forEach(function (key) {
+                if (options[key] !== undefined) {
+                    node[key] = options[key];
+                }
+            });
+        }
+
+        config.setDeviceColor = function (serial, color) {
+            // Color correction for one device, overriding the global setting
+            config.mapDevice(serial).color = color;
+        }
+
+        // Detected color order of each device's strips, by serial and strip index
+        var stripColorOrders = {};
+
+        config.setStripColorOrder = function (serial, strip, colorOrder) {
+            // Color order for pixels on one strip, used by mapPixel() unless it's given one
+            (stripColorOrders[serial] = stripColorOrders[serial] || {})[strip] = colorOrder;
+        }
+
+        config.reusePixels = function (serial, count, channel) {
+            /*
+             * Call before mapping 'count' pixels on a device from the base config.
+             * If it used at least that many OPC pixels on 'channel' [default: 0]
+             * before, mapPixel() gives them back in the same order, so re-mapping
+             * a device doesn't renumber it. Otherwise it gets new pixels, and its
+             * old ones are free for anyone.
+             */
+
+            channel = channel || 0;
+            if (remapped[serial]) {
+                return;
+            }
+
+            var indices = [];
+            var old = fadecandy.devicePixelsFromConfig({ devices: [ config.mapDevice(serial) ] }, channel);
+            old.forEach(function (info, index) {
+                indices.push(index);
+            });
+
+            if (indices.length && count <= indices.length) {
+                (reserved[serial] = reserved[serial] || {})[channel] = indices.slice(0, count);
+            }
+        }
+
+        config.mapPixel = function (device, index, options) {
             /*
-             * Append a single device pixel to the mapping, returning the new OPC
-             * pixel index. Consolidates contiguous mappings.
+             * Append a single device pixel to the mapping, returning its OPC
+             * pixel index. Options:
              *
-             * Only supports channel 0 mappings of the form:
-             * [ OPC Channel, First OPC Pixel, First output pixel, Pixel count ]
+             *   channel        OPC channel to allocate the pixel on [default: 0]
+             *   colorOrder     Color channel order for the pixel, like "grb" [default: the
+             *                  strip's order from setStripColorOrder(), or rgb]
+             *   opcIndex       OPC pixel to use [default: the device's next pixel from
+             *                  reusePixels(), or the next one after any in use]
+             *
+             * Consolidates runs of pixels in either direction, into mappings of the form:
+             * [ OPC Channel, First OPC Pixel, First output pixel, Pixel count (, Color channels) ]
+             * where a negative count means output pixels counting down.
              */
 
-            var devMap = config.mapDevice(device).map;
-            var opcIndex = config.opcPixelCount++;
-            var last = devMap[devMap.length - 1];
+            options = options || {};
+            var channel = options.channel || 0;
+            var order = options.colorOrder || (stripColorOrders[device] || {})[(index / fadecandy.LEDS_PER_STRIP)|0];
+            order = order && order != 'rgb' ? order : null;
+
+            var node = config.mapDevice(device);
+            if (!remapped[device]) {
+                remapped[device] = true;
+                node.map = [];
+            }
 
-            if (last && last.length == 4
-                && last[1] + last[3] == opcIndex
-                && last[2] + last[3] == index) {
-                // We can extend the last mapping
-                last[3]++;
-            } else {
-                // New mapping line
-                devMap.push([ 0, opcIndex, index, 1 ]);
+            var devMap = node.map;
+            var reuse = (reserved[device] || {})[channel];
+            var opcIndex = options.opcIndex != undefined ? options.opcIndex
+                : reuse && reuse.length ? reuse.shift() : nextFreePixel(channel);
+            config.opcPixelCounts[channel] = Math.max(config.opcPixelCounts[channel] || 0, opcIndex + 1);
+
+            var last = devMap[devMap.length - 1];
+            if (last && last[0] == channel && (last[4] || null) == order && last[1] + Math.abs(last[3]) == opcIndex) {
+                var count = last[3];
+                if (count > 0 && last[2] + count == index) {
+                    // We can extend the last mapping forward
+                    last[3]++;
+                    return opcIndex;
+                }
+                if ((count < 0 || count == 1) && last[2] - Math.abs(count) == index) {
+                    // We can extend the last mapping backward
+                    last[3] = -(Math.abs(count) + 1);
+                    return opcIndex;
+                }
             }
 
+            // New mapping line
+            devMap.push(order ? [ channel, opcIndex, index, 1, order ] : [ channel, opcIndex, index, 1 ]);
             return opcIndex;
         }
 
@@ -114,56 +287,191 @@
     }
 
     fadecandy.connect = function(url, callback) {
-        var connection = {};
+        var connection = new events.EventEmitter();
 
-        connection.socket = new WebSocket(url);
+        connection.socket = null;
+        connection.open = false;
+        connection.closing = false;
         connection.devices = [];
         connection.pending = {};
         connection.sequence = 1;
 
+        // Brightness for lights turned on by singleLight() and lightPattern(), from 0 to 255
+        connection.driveLevel = 255;
+
+        var firstOpen = true;
+        var reconnectTimer = null;
+
         connection.message = function (obj, callback, timeout) {
             timeout = timeout || fadecandy.DEFAULT_TIMEOUT;
 
-            obj.sequence = connection.sequence;
+            if (!connection.open) {
+                return callback('Not connected to fcserver');
+            }
+
+            var sequence = obj.sequence = connection.sequence;
             connection.sequence += 1;
             var msgText = JSON.stringify(obj);
 
             var timer = setTimeout( function timedOut() {
                 callback('Timed out waiting for fcserver to respond to this message: ' + msgText);
-                delete connection.pending[obj.sequence];
+                delete connection.pending[sequence];
             }, timeout);
 
-            connection.pending[obj.sequence] = function (obj) {
-                callback(null, obj);
-                delete connection.pending[obj.sequence];
+            connection.pending[sequence] = function (err, reply) {
+                delete connection.pending[sequence];
                 clearTimeout(timer);
+                callback(err, reply);
             }
 
-            connection.socket.send(JSON.stringify(obj));
+            connection.socket.send(msgText);
         };
 
-        connection.socket.on('message', function message(data, err) {
-            var obj = JSON.parse(data);
-            connection.pending[obj.sequence](obj);
-        });
+        connection.isConnected = function (serial) {
+            // Is the device with this serial number attached, and are we talking to fcserver?
 
-        connection.socket.on('open', function open() {
-            connection.message( {type: 'list_connected_devices'} , function (err, obj) {
-                if (err) return callback(err);
+            return connection.open && connection.devices.some(function (device) {
+                return device.serial == serial;
+            });
+        }
 
-                // Sort device list by serial number, for a stable ordering
-                connection.devices = obj.devices;
-                connection.devices.sort(function (a, b) {
-                    return a.serial.localeCompare(b.serial);
+        connection.waitForDevices = function (serials, callback) {
+            // Call back as soon as we're talking to fcserver and every listed device is attached
+
+            function ready() {
+                return connection.open && serials.every(connection.isConnected);
+            }
+
+            if (ready()) {
+                return callback();
+            }
+
+            console.log("Waiting for " + (serials.length ? "Fadecandy " + serials.join(', ') : "fcserver"));
+
+            function check() {
+                if (ready()) {
+                    connection.removeListener('connect', check);
+                    connection.removeListener('reconnect', check);
+                    callback();
+                }
+            }
+
+            connection.on('connect', check);
+            connection.on('reconnect', check);
+        }
+
+        connection.close = function () {
+            // Close for good, without reconnecting
+
+            connection.closing = true;
+            clearTimeout(reconnectTimer);
+            if (connection.socket) {
+                connection.socket.close();
+            }
+        }
+
+        function updateDevices(devices) {
+            // Replace the device list, emitting events for devices that come and go
+
+            var before = {};
+            var after = {};
+            connection.devices.forEach(function (d) { before[d.serial] = d; });
+            devices.forEach(function (d) { after[d.serial] = d; });
+
+            // Sort device list by serial number, for a stable ordering
+            connection.devices = devices.slice().sort(function (a, b) {
+                return a.serial.localeCompare(b.serial);
+            });
+
+            for (var serial in before) {
+                if (!(serial in after)) {
+                    console.log("Lost Fadecandy device " + serial);
+                    connection.emit('disconnect', before[serial]);
+                }
+            }
+            connection.devices.forEach(function (device) {
+                if (!(device.serial in before)) {
+                    console.log("Found Fadecandy device " + device.serial);
+                    connection.emit('connect', device);
+                }
+            });
+        }
+
+        function scheduleReconnect() {
+            if (!connection.closing && !reconnectTimer) {
+                reconnectTimer = setTimeout(function () {
+                    reconnectTimer = null;
+                    openSocket();
+                }, fadecandy.RECONNECT_INTERVAL);
+            }
+        }
+
+        function openSocket() {
+            var socket = connection.socket = new WebSocket(url);
+
+            socket.on('message', function message(data, err) {
+                var obj = JSON.parse(data);
+
+                if (obj.type == 'connected_devices_changed') {
+                    // Unsolicited notification from fcserver
+                    return updateDevices(obj.devices);
+                }
+
+                var pending = connection.pending[obj.sequence];
+                if (pending) {
+                    pending(obj.error ? 'fcserver error: ' + obj.error : null, obj);
+                }
+            });
+
+            socket.on('open', function open() {
+                connection.open = true;
+
+                connection.message( {type: 'list_connected_devices'} , function (err, obj) {
+                    if (err) {
+                        if (firstOpen) return callback(err);
+                        return socket.close();
+                    }
+
+                    updateDevices(obj.devices);
+
+                    if (firstOpen) {
+                        firstOpen = false;
+                        callback(null, connection);
+                    } else {
+                        console.log("Reconnected to fcserver");
+                        connection.emit('reconnect');
+                    }
                 });
+            });
+
+            socket.on('error', function (err) {
+                if (firstOpen && !connection.open) {
+                    // Couldn't connect in the first place
+                    connection.closing = true;
+                    return callback(err);
+                }
+                scheduleReconnect();
+            });
 
-                for (var i = 0; i < connection.devices.length; i++) {
-                    console.log("Found Fadecandy device " + connection.devices[i].serial)
+            socket.on('close', function () {
+                var wasOpen = connection.open;
+                connection.open = false;
+
+                // Nothing in flight will be answered now
+                for (var sequence in connection.pending) {
+                    connection.pending[sequence]('Lost connection to fcserver');
                 }
 
-                callback(null, connection);
+                if (wasOpen && !connection.closing) {
+                    console.log("Lost connection to fcserver, reconnecting");
+                    updateDevices([]);
+                    connection.emit('lost');
+                }
+                scheduleReconnect();
             });
-        });
+        }
+
+        openSocket();
 
         connection.rawPixels = function (device, rgb, callback) {
             // Disable interpolation, dithering, and gamma correction.
@@ -210,13 +518,41 @@
         }
 
         connection.singleLight = function (device, index, callback) {
-            // Turn a single light on at full brightness, and all others off
+            // Turn a single light on at the drive level, and all others off
 
             async.map(connection.devices, function (thisDevice, callback) {
                 var array = new Uint8Array(fadecandy.LEDS_PER_DEVICE * 3);
                 if (device.serial == thisDevice.serial) {
                     for (var i = 0; i < 3; i++) {
-                        array[3*index + i] = 255;
+                        array[3*index + i] = connection.driveLevel;
+                    }
+                }
+                connection.rawPixels(thisDevice, array, callback);
+            }, callback);
+        }
+
+        connection.singleChannel = function (device, index, channel, callback) {
+            // Like singleLight(), but only one color channel (0-2) of the light's raw output
+
+            async.map(connection.devices, function (thisDevice, callback) {
+                var array = new Uint8Array(fadecandy.LEDS_PER_DEVICE * 3);
+                if (device.serial == thisDevice.serial) {
+                    array[3*index + channel] = connection.driveLevel;
+                }
+                connection.rawPixels(thisDevice, array, callback);
+            }, callback);
+        }
+
+        connection.lightPattern = function (isLit, callback) {
+            // Turn on every light for which isLit(device, index) is true, at the drive level
+
+            async.map(connection.devices, function (thisDevice, callback) {
+                var array = new Uint8Array(fadecandy.LEDS_PER_DEVICE * 3);
+                for (var index = 0; index < fadecandy.LEDS_PER_DEVICE; index++) {
+                    if (isLit(thisDevice, index)) {
+                        for (var i = 0; i < 3; i++) {
+                            array[3*index + i] = connection.driveLevel;
+                        }
                     }
                 }
                 connection.rawPixels(thisDevice, array, callback);
@@ -0,0 +1,535 @@
+/*
+ * geometry.js - Small dense linear algebra and multiple-view geometry helpers.
+ *
+ * Matrices are arrays of row arrays, vectors are plain arrays. Everything here
+ * is sized for camera geometry problems: a handful of unknowns, and at most a
+ * few thousand equations.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var geometry = {};
+
+    geometry.identity = function (n) {
+        var m = [];
+        for (var i = 0; i < n; i++) {
+            m.push([]);
+            for (var j = 0; j < n; j++) {
+                m[i].push(i == j ? 1 : 0);
+            }
+        }
+        return m;
+    }
+
+    geometry.transpose = function (a) {
+        var m = [];
+        for (var j = 0; j < a[0].length; j++) {
+            m.push([]);
+            for (var i = 0; i < a.length; i++) {
+                m[j].push(a[i][j]);
+            }
+        }
+        return m;
+    }
+
+    geometry.multiply = function (a, b) {
+        // Matrix product. If 'b' is a plain vector, returns a vector.
+
+        if (typeof b[0] == 'number') {
+            return a.map(function (row) {
+                return geometry.dot(row, b);
+            });
+        }
+
+        var m = [];
+        for (var i = 0; i < a.length; i++) {
+            m.push([]);
+            for (var j = 0; j < b[0].length; j++) {
+                var sum = 0;
+                for (var k = 0; k < b.length; k++) {
+                    sum += a[i][k] * b[k][j];
+                }
+                m[i].push(sum);
+            }
+        }
+        return m;
+    }
+
+    geometry.dot = function (a, b) {
+        var sum = 0;
+        for (var i = 0; i < a.length; i++) {
+            sum += a[i] * b[i];
+        }
+        return sum;
+    }
+
+    geometry.cross = function (a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0],
+        ];
+    }
+
+    geometry.norm = function (a) {
+        return Math.sqrt(geometry.dot(a, a));
+    }
+
+    geometry.det3 = function (m) {
+        return geometry.dot(m[0], geometry.cross(m[1], m[2]));
+    }
+
+    geometry.svd = function (a) {
+        /*
+         * Singular value decomposition by one-sided Jacobi rotations.
+         * For an m x n matrix, returns { U, S, V } with U m x n, S of length n
+         * sorted in decreasing order, and V n x n, such that A = U diag(S) V^T.
+         * Columns of U are left as zero where the singular value is zero.
+         */
+
+        var m = a.length;
+        var n = a[0].length;
+        var u = a.map(function (row) { return row.slice(); });
+        var v = geometry.identity(n);
+
+        for (var sweep = 0; sweep < 60; sweep++) {
+            var rotated = false;
+
+            for (var p = 0; p < n - 1; p++) {
+                for (var q = p + 1; q < n; q++) {
+                    var alpha = 0, beta = 0, gamma = 0;
+                    for (var i = 0; i < m; i++) {
+                        alpha += u[i][p] * u[i][p];
+                        beta += u[i][q] * u[i][q];
+                        gamma += u[i][p] * u[i][q];
+                    }
+
+                    if (Math.abs(gamma) <= 1e-15 * Math.sqrt(alpha * beta) || gamma == 0) {
+                        continue;
+                    }
+                    rotated = true;
+
+                    var zeta = (beta - alpha) / (2 * gamma);
+                    var t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+                    var c = 1 / Math.sqrt(1 + t * t);
+                    var s = c * t;
+
+                    for (var i = 0; i < m; i++) {
+                        var up = u[i][p], uq = u[i][q];
+                        u[i][p] = c * up - s * uq;
+                        u[i][q] = s * up + c * uq;
+                    }
+                    for (var i = 0; i < n; i++) {
+                        var vp = v[i][p], vq = v[i][q];
+                        v[i][p] = c * vp - s * vq;
+                        v[i][q] = s * vp + c * vq;
+                    }
+                }
+            }
+
+            if (!rotated) {
+                break;
+            }
+        }
+
+        // Column norms are the singular values
+        var order = [];
+        for (var j = 0; j < n; j++) {
+            var sum = 0;
+            for (var i = 0; i < m; i++) {
+                sum += u[i][j] * u[i][j];
+            }
+            order.push({ index: j, value: Math.sqrt(sum) });
+        }
+        order.sort(function (a, b) { return b.value - a.value; });
+
+        var result = { U: [], S: [], V: [] };
+        for (var i = 0; i < m; i++) {
+            result.U.push(order.map(function (o) {
+                return o.value ? u[i][o.index] / o.value : 0;
+            }));
+        }
+        for (var i = 0; i < n; i++) {
+            result.V.push(order.map(function (o) {
+                return v[i][o.index];
+            }));
+        }
+        result.S = order.map(function (o) { return o.value; });
+
+        return result;
+    }
+
+    geometry.nullVector = function (a) {
+        // Unit vector x minimizing |Ax|, the least-squares solution to Ax = 0
+
+        var v = geometry.svd(a).V;
+        return v.map(function (row) {
+            return row[row.length - 1];
+        });
+    }
+
+    geometry.solve = function (a, b) {
+        /*
+         * Least squares solution to Ax = b, by Gaussian elimination on the normal
+         * equations with partial pivoting. Returns null if the system is singular.
+         */
+
+        var at = geometry.transpose(a);
+        var m = geometry.multiply(at, a);
+        var y = geometry.multiply(at, b);
+        var n = m.length;
+
+        for (var i = 0; i < n; i++) {
+            m[i].push(y[i]);
+        }
+
+        for (var col = 0; col < n; col++) {
+            var pivot = col;
+            for (var row = col + 1; row < n; row++) {
+                if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            if (Math.abs(m[pivot][col]) < 1e-300) {
+                return null;
+            }
+
+            var tmp = m[col]; m[col] = m[pivot]; m[pivot] = tmp;
+
+            for (var row = 0; row < n; row++) {
+                if (row != col) {
+                    var f = m[row][col] / m[col][col];
+                    for (var k = col; k <= n; k++) {
+                        m[row][k] -= f * m[col][k];
+                    }
+                }
+            }
+        }
+
+        return m.map(function (row, i) {
+            return row[n] / row[i];
+        });
+    }
+
+    geometry.nearestRotation = function (m) {
+        // Closest proper rotation matrix to a 3x3 matrix, in the Frobenius sense
+
+        var d = geometry.svd(m);
+        var r = geometry.multiply(d.U, geometry.transpose(d.V));
+        if (geometry.det3(r) < 0) {
+            var u = d.U.map(function (row) { return [row[0], row[1], -row[2]]; });
+            r = geometry.multiply(u, geometry.transpose(d.V));
+        }
+        return r;
+    }
+
+    geometry.rotationFromVector = function (w) {
+        // Rodrigues formula: rotation by |w| radians around the axis w
+
+        var theta = geometry.norm(w);
+        if (theta < 1e-12) {
+            return geometry.identity(3);
+        }
+
+        var k = w.map(function (v) { return v / theta; });
+        var c = Math.cos(theta), s = Math.sin(theta), C = 1 - c;
+
+        return [
+            [ c + k[0]*k[0]*C,        k[0]*k[1]*C - k[2]*s,  k[0]*k[2]*C + k[1]*s ],
+            [ k[1]*k[0]*C + k[2]*s,   c + k[1]*k[1]*C,       k[1]*k[2]*C - k[0]*s ],
+            [ k[2]*k[0]*C - k[1]*s,   k[2]*k[1]*C + k[0]*s,  c + k[2]*k[2]*C      ],
+        ];
+    }
+
+    geometry.leastSquares = function (params, residualFn, iterations) {
+        /*
+         * Nonlinear least squares by Gauss-Newton, with a numerical Jacobian.
+         * residualFn(params) returns an array of residuals. Steps that would
+         * increase the total squared residual are shortened until they don't,
+         * so the cost never goes up. Returns the refined parameter array.
+         */
+
+        function cost(r) {
+            return geometry.dot(r, r);
+        }
+
+        var r = residualFn(params);
+        var c = cost(r);
+
+        for (var iter = 0; iter < (iterations || 10); iter++) {
+            var jacobian = r.map(function () { return []; });
+
+            for (var j = 0; j < params.length; j++) {
+                var h = 1e-6 * Math.max(1, Math.abs(params[j]));
+                var p = params.slice();
+                p[j] += h;
+                var rj = residualFn(p);
+                for (var i = 0; i < r.length; i++) {
+                    jacobian[i][j] = (rj[i] - r[i]) / h;
+                }
+            }
+
+            var step = geometry.solve(jacobian, r.map(function (v) { return -v; }));
+            if (!step) {
+                break;
+            }
+
+            var improved = false;
+            for (var scale = 1; scale > 1e-4; scale /= 2) {
+                var p = params.map(function (v, j) { return v + scale * step[j]; });
+                var rp = residualFn(p);
+                var cp = cost(rp);
+                if (cp < c) {
+                    params = p;
+                    r = rp;
+                    improved = (c - cp) > 1e-12 * c;
+                    c = cp;
+                    break;
+                }
+            }
+
+            if (!improved) {
+                break;
+            }
+        }
+
+        return params;
+    }
+
+    geometry.refinePoint = function (poses, observations, point) {
+        // Refine a triangulated point to minimize reprojection error in every view
+
+        return geometry.leastSquares(point, function (X) {
+            var r = [];
+            for (var i = 0; i < poses.length; i++) {
+                var p = geometry.project(poses[i], X);
+                r.push(p.x - observations[i].x, p.y - observations[i].y);
+            }
+            return r;
+        });
+    }
+
+    geometry.refinePose = function (pose, points, observations) {
+        // Refine a camera pose to minimize the reprojection error of known points
+
+        function poseFromParams(params) {
+            return {
+                R: geometry.multiply(geometry.rotationFromVector(params.slice(0, 3)), pose.R),
+                t: params.slice(3, 6),
+            };
+        }
+
+        return poseFromParams(geometry.leastSquares([0, 0, 0].concat(pose.t), function (params) {
+            var p = poseFromParams(params);
+            var r = [];
+            for (var i = 0; i < points.length; i++) {
+                var q = geometry.project(p, points[i]);
+                r.push(q.x - observations[i].x, q.y - observations[i].y);
+            }
+            return r;
+        }));
+    }
+
+    geometry.project = function (pose, point) {
+        // Project a 3D point through a camera pose {R, t}, to normalized image coordinates
+
+        var p = geometry.multiply(pose.R, point);
+        var z = p[2] + pose.t[2];
+        return {
+            x: (p[0] + pose.t[0]) / z,
+            y: (p[1] + pose.t[1]) / z,
+            depth: z,
+        };
+    }
+
+    geometry.triangulate = function (poses, observations) {
+        /*
+         * Linear (DLT) triangulation of one point seen from two or more camera
+         * poses, given normalized {x, y} observations. Returns [x, y, z].
+         */
+
+        var rows = [];
+        for (var i = 0; i < poses.length; i++) {
+            var R = poses[i].R, t = poses[i].t;
+            var p = [ R[0].concat(t[0]), R[1].concat(t[1]), R[2].concat(t[2]) ];
+            var o = observations[i];
+            rows.push(p[2].map(function (v, j) { return o.x * v - p[0][j]; }));
+            rows.push(p[2].map(function (v, j) { return o.y * v - p[1][j]; }));
+        }
+
+        var x = geometry.nullVector(rows);
+        return [ x[0] / x[3], x[1] / x[3], x[2] / x[3] ];
+    }
+
+    function normalizer(obs) {
+        // Similarity transform moving points to the origin, with an average distance of sqrt(2)
+
+        var mx = 0, my = 0, d = 0;
+        obs.forEach(function (o) { mx += o.x; my += o.y; });
+        mx /= obs.length;
+        my /= obs.length;
+        obs.forEach(function (o) { d += Math.sqrt((o.x - mx) * (o.x - mx) + (o.y - my) * (o.y - my)); });
+        var s = Math.SQRT2 * obs.length / (d || 1);
+        return [ [s, 0, -s * mx], [0, s, -s * my], [0, 0, 1] ];
+    }
+
+    geometry.essentialMatrix = function (obs1, obs2) {
+        /*
+         * Normalized eight-point estimate of the essential matrix relating two
+         * lists of corresponding normalized observations, such that
+         * [x2 y2 1] E [x1 y1 1]^T = 0. Needs at least 8 correspondences.
+         */
+
+        var t1 = normalizer(obs1);
+        var t2 = normalizer(obs2);
+        var rows = [];
+
+        for (var i = 0; i < obs1.length; i++) {
+            var a = geometry.multiply(t1, [obs1[i].x, obs1[i].y, 1]);
+            var b = geometry.multiply(t2, [obs2[i].x, obs2[i].y, 1]);
+            rows.push([
+                b[0] * a[0], b[0] * a[1], b[0],
+                b[1] * a[0], b[1] * a[1], b[1],
+                a[0], a[1], 1
+            ]);
+        }
+
+        var f = geometry.nullVector(rows);
+        var e = [ f.slice(0, 3), f.slice(3, 6), f.slice(6, 9) ];
+
+        // Undo normalization, then project onto the essential manifold
+        e = geometry.multiply(geometry.transpose(t2), geometry.multiply(e, t1));
+        var d = geometry.svd(e);
+        var s = (d.S[0] + d.S[1]) / 2;
+        return geometry.multiply(d.U, geometry.multiply(
+            [ [s, 0, 0], [0, s, 0], [0, 0, 0] ], geometry.transpose(d.V)));
+    }
+
+    geometry.homography = function (from, to) {
+        /*
+         * Normalized DLT estimate of the plane-to-plane homography H taking
+         * each point in 'from' to the matching point in 'to', as {x, y} lists.
+         * Needs at least 4 correspondences, no three of them in a line.
+         */
+
+        var t1 = normalizer(from);
+        var t2 = normalizer(to);
+        var rows = [];
+
+        for (var i = 0; i < from.length; i++) {
+            var a = geometry.multiply(t1, [from[i].x, from[i].y, 1]);
+            var b = geometry.multiply(t2, [to[i].x, to[i].y, 1]);
+            rows.push([ -a[0], -a[1], -1, 0, 0, 0, b[0] * a[0], b[0] * a[1], b[0] ]);
+            rows.push([ 0, 0, 0, -a[0], -a[1], -1, b[1] * a[0], b[1] * a[1], b[1] ]);
+        }
+
+        var f = geometry.nullVector(rows);
+        var h = [ f.slice(0, 3), f.slice(3, 6), f.slice(6, 9) ];
+
+        // Undo normalization; t2 is a similarity, so its inverse is easy
+        var s = t2[0][0];
+        var t2inv = [ [1/s, 0, -t2[0][2] / s], [0, 1/s, -t2[1][2] / s], [0, 0, 1] ];
+        h = geometry.multiply(t2inv, geometry.multiply(h, t1));
+
+        // Scale so H[2][2] is 1, when it can be
+        var scale = Math.abs(h[2][2]) > 1e-12 ? h[2][2] : 1;
+        return h.map(function (row) {
+            return row.map(function (v) { return v / scale; });
+        });
+    }
+
+    geometry.applyHomography = function (h, point) {
+        // Map an {x, y} point through a homography
+
+        var p = geometry.multiply(h, [point.x, point.y, 1]);
+        return { x: p[0] / p[2], y: p[1] / p[2] };
+    }
+
+    geometry.posesFromEssential = function (e) {
+        // The four {R, t} camera poses consistent with an essential matrix
+
+        var d = geometry.svd(e);
+        var u = d.U.map(function (row) { return row.slice(); });
+        var v = d.V;
+
+        // Third singular value is zero, so complete U's basis ourselves
+        var u3 = geometry.cross([u[0][0], u[1][0], u[2][0]], [u[0][1], u[1][1], u[2][1]]);
+        for (var i = 0; i < 3; i++) {
+            u[i][2] = u3[i];
+        }
+        if (geometry.det3(v) < 0) {
+            v = v.map(function (row) { return [row[0], row[1], -row[2]]; });
+        }
+
+        var w = [ [0, -1, 0], [1, 0, 0], [0, 0, 1] ];
+        var vt = geometry.transpose(v);
+        var r1 = geometry.multiply(u, geometry.multiply(w, vt));
+        var r2 = geometry.multiply(u, geometry.multiply(geometry.transpose(w), vt));
+        var t = [ u[0][2], u[1][2], u[2][2] ];
+        var nt = t.map(function (x) { return -x; });
+
+        return [
+            { R: r1, t: t }, { R: r1, t: nt },
+            { R: r2, t: t }, { R: r2, t: nt },
+        ];
+    }
+
+    geometry.resection = function (points, observations) {
+        /*
+         * Linear camera resection (DLT): find the pose {R, t} that best projects
+         * 3D points onto their normalized observations. Needs at least 6 points.
+         */
+
+        var rows = [];
+        for (var i = 0; i < points.length; i++) {
+            var X = points[i].concat(1);
+            var o = observations[i];
+            var zero = [0, 0, 0, 0];
+            rows.push(X.concat(zero, X.map(function (v) { return -o.x * v; })));
+            rows.push(zero.concat(X, X.map(function (v) { return -o.y * v; })));
+        }
+
+        var p = geometry.nullVector(rows);
+        var a = [ p.slice(0, 3), p.slice(4, 7), p.slice(8, 11) ];
+        var b = [ p[3], p[7], p[11] ];
+
+        // The solution is only known up to scale, including sign
+        var sign = geometry.det3(a) < 0 ? -1 : 1;
+        var scale = sign * Math.pow(Math.abs(geometry.det3(a)), 1/3);
+
+        return {
+            R: geometry.nearestRotation(a.map(function (row) {
+                return row.map(function (v) { return v / scale; });
+            })),
+            t: b.map(function (v) { return v / scale; }),
+        };
+    }
+
+    geometry.typicalSpacing = function (points) {
+        // Median distance from each [x, y] point to its nearest neighbor, or 0 with fewer than two
+
+        if (points.length < 2) {
+            return 0;
+        }
+
+        var nearest = points.map(function (a, i) {
+            var best = Infinity;
+            points.forEach(function (b, j) {
+                if (i != j) {
+                    var dx = a[0] - b[0], dy = a[1] - b[1];
+                    best = Math.min(best, Math.sqrt(dx*dx + dy*dy));
+                }
+            });
+            return best;
+        });
+
+        nearest.sort(function (a, b) { return a - b; });
+        return nearest[nearest.length >> 1];
+    }
+
+    module.exports = geometry;
+
+}());
@@ -0,0 +1,64 @@
+/*
+ * graycode.js - Helpers for structured light capture, where every LED is
+ *               assigned a code and lit according to the Gray code bits of
+ *               that code. A pixel's sequence of on/off observations then
+ *               identifies which LED it belongs to.
+ *
+ * Code zero is reserved to mean "no LED", so codes run from 1 to ledCount.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var graycode = {};
+
+    graycode.encode = function (code) {
+        // Binary to reflected Gray code
+        return (code ^ (code >>> 1)) >>> 0;
+    }
+
+    graycode.decode = function (gray) {
+        // Reflected Gray code back to binary
+        var code = gray >>> 0;
+        for (var shift = 1; shift < 32; shift <<= 1) {
+            code ^= code >>> shift;
+        }
+        return code >>> 0;
+    }
+
+    graycode.bitCount = function (ledCount) {
+        // Number of bit frames needed to give each of ledCount LEDs a unique nonzero code
+
+        var bits = 1;
+        while ((1 << bits) <= ledCount) {
+            bits++;
+        }
+        return bits;
+    }
+
+    graycode.isLit = function (code, bit) {
+        // Is the LED with this code lit in the frame for this bit?
+        return ((graycode.encode(code) >>> bit) & 1) == 1;
+    }
+
+    graycode.parity = function (code) {
+        /*
+         * Parity of the Gray code bits for this code. The verification frame
+         * lights every LED with odd parity, so any pixel that misread an odd
+         * number of bit frames will disagree with it.
+         */
+
+        var gray = graycode.encode(code);
+        var parity = 0;
+        while (gray) {
+            parity ^= gray & 1;
+            gray >>>= 1;
+        }
+        return parity == 1;
+    }
+
+    module.exports = graycode;
+
+}());
@@ -0,0 +1,282 @@
+/*
+ * grid-fit.js - Find the regular lattice that a set of noisy LED positions
+ *               sit on, such as a rectangular matrix panel.
+ *
+ * The lattice is an origin plus two step vectors, one per column and one per
+ * row, so it can be rotated, have a different pitch across and down, and be
+ * slightly sheared. It's found in three steps:
+ *
+ *   1. Rotation and pitch from the typical offset between nearest neighbors
+ *   2. Integer grid coordinates, assigned by walking from neighbor to neighbor
+ *      outward from the middle. Each step only needs to be right locally, so a
+ *      rough pitch doesn't add up to whole rows of error across a big panel.
+ *   3. A least squares fit of the lattice to those coordinates, then every
+ *      LED snapped to its nearest lattice point, and repeat
+ *
+ * LEDs further than 'tolerance' (in units of pitch) from their lattice point
+ * don't fit, and neither does any LED that lands on a lattice point that a
+ * better fitting LED already has, or that's too far from its neighbors for
+ * the walk to reach. The grid's size only counts LEDs that fit.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var geometry = require('./geometry.js');
+
+    var gridFit = {};
+
+    gridFit.DEFAULT_TOLERANCE = 0.3;
+
+    // Rounds of refitting the lattice and snapping LEDs to it
+    gridFit.ITERATIONS = 4;
+
+    // Neighbors this many pitches apart are close enough to walk between, including diagonals
+    var NEIGHBOR_RADIUS = 1.6;
+
+    function nearestNeighbors(points) {
+        // Offset from each [x, y] point to its nearest neighbor
+
+        return points.map(function (a, i) {
+            var best = null, bestD = Infinity;
+            points.forEach(function (b, j) {
+                var dx = b[0] - a[0], dy = b[1] - a[1];
+                var d = dx*dx + dy*dy;
+                if (i != j && d < bestD) {
+                    bestD = d;
+                    best = [dx, dy];
+                }
+            });
+            return best;
+        });
+    }
+
+    function rotation(offsets) {
+        // Mean direction of the offsets, modulo 90 degrees
+
+        var c = 0, s = 0;
+        offsets.forEach(function (v) {
+            var angle = 4 * Math.atan2(v[1], v[0]);
+            c += Math.cos(angle);
+            s += Math.sin(angle);
+        });
+        return Math.atan2(s, c) / 4;
+    }
+
+    function toGrid(lattice, point) {
+        // Real-valued [column, row] of a point
+
+        var a = lattice.column, b = lattice.row;
+        var det = a[0] * b[1] - a[1] * b[0];
+        var dx = point[0] - lattice.origin[0], dy = point[1] - lattice.origin[1];
+        return [ (dx * b[1] - dy * b[0]) / det, (a[0] * dy - a[1] * dx) / det ];
+    }
+
+    gridFit.latticePoint = function (lattice, column, row) {
+        // Position of a lattice point, in the same units as the fitted points
+
+        return [
+            lattice.origin[0] + column * lattice.column[0] + row * lattice.row[0],
+            lattice.origin[1] + column * lattice.column[1] + row * lattice.row[1],
+        ];
+    }
+
+    function walk(points, lattice) {
+        // Grid coordinates from stepping between neighbors, or null for points we can't reach
+
+        var coords = points.map(function () { return null; });
+        var center = [0, 0];
+        points.forEach(function (p) { center[0] += p[0] / points.length; center[1] += p[1] / points.length; });
+
+        var seed = 0, seedD = Infinity;
+        points.forEach(function (p, i) {
+            var dx = p[0] - center[0], dy = p[1] - center[1];
+            if (dx*dx + dy*dy < seedD) {
+                seedD = dx*dx + dy*dy;
+                seed = i;
+            }
+        });
+
+        var pitch = Math.max(geometry.norm(lattice.column), geometry.norm(lattice.row));
+        var radius2 = Math.pow(NEIGHBOR_RADIUS * pitch, 2);
+        var stepLattice = { origin: [0, 0], column: lattice.column, row: lattice.row };
+        var queue = [ seed ];
+        coords[seed] = [0, 0];
+
+        while (queue.length) {
+            var i = queue.shift();
+            points.forEach(function (q, j) {
+                if (coords[j]) return;
+                var dx = q[0] - points[i][0], dy = q[1] - points[i][1];
+                if (dx*dx + dy*dy > radius2) return;
+
+                var step = toGrid(stepLattice, [dx, dy]).map(Math.round);
+                if (step[0] || step[1]) {
+                    coords[j] = [ coords[i][0] + step[0], coords[i][1] + step[1] ];
+                    queue.push(j);
+                }
+            });
+        }
+
+        return coords;
+    }
+
+    function fitLattice(points, coords, previous) {
+        /*
+         * Least squares lattice through points with known grid coordinates. If all
+         * the points are in one row or column, the step across it is kept from the
+         * previous lattice, since there's nothing to measure it from.
+         */
+
+        var used = [];
+        coords.forEach(function (c, i) { if (c) used.push(i); });
+
+        var varies = [0, 1].map(function (axis) {
+            return used.some(function (i) { return coords[i][axis] != coords[used[0]][axis]; });
+        });
+
+        var lattice = { origin: [0, 0], column: previous.column.slice(), row: previous.row.slice() };
+        var steps = [ 'column', 'row' ];
+
+        for (var dim = 0; dim < 2; dim++) {
+            var a = used.map(function (i) {
+                var row = [1];
+                for (var axis = 0; axis < 2; axis++) {
+                    if (varies[axis]) row.push(coords[i][axis]);
+                }
+                return row;
+            });
+            var b = used.map(function (i) {
+                // Take out the part of the position we aren't solving for
+                var v = points[i][dim];
+                for (var axis = 0; axis < 2; axis++) {
+                    if (!varies[axis]) v -= coords[i][axis] * lattice[steps[axis]][dim];
+                }
+                return v;
+            });
+
+            var x = geometry.solve(a, b);
+            if (!x) {
+                return null;
+            }
+            lattice.origin[dim] = x[0];
+            var k = 1;
+            for (var axis = 0; axis < 2; axis++) {
+                if (varies[axis]) lattice[steps[axis]][dim] = x[k++];
+            }
+        }
+
+        return lattice;
+    }
+
+    gridFit.fit = function (points, options) {
+        /*
+         * Fit a lattice to a list of [x, y] points. Returns:
+         *
+         *   lattice        { origin, column, row }, with column and row steps as [x, y]
+         *   pitch          [ across, down ], lengths of the column and row steps
+         *   rotation       Angle of the column step, in degrees
+         *   columns, rows  Grid size
+         *   cells          Per point: { column, row, point, residual, fits }, where 'point'
+         *                  is the lattice point and residual is in units of pitch
+         *   fitCount       How many points fit
+         *
+         * Grid coordinates start at zero, with column 0 at the start of the
+         * column step and row 0 at the start of the row step.
+         */
+
+        options = options || {};
+        var tolerance = options.tolerance || gridFit.DEFAULT_TOLERANCE;
+
+        if (points.length < 2) {
+            throw "Need at least two LEDs to find a grid";
+        }
+
+        var spacing = geometry.typicalSpacing(points);
+        if (!spacing) {
+            throw "LEDs are all in the same place, can't find a grid";
+        }
+
+        var theta = rotation(nearestNeighbors(points));
+        var lattice = {
+            origin: [0, 0],
+            column: [ spacing * Math.cos(theta), spacing * Math.sin(theta) ],
+            row: [ -spacing * Math.sin(theta), spacing * Math.cos(theta) ],
+        };
+
+        // Points the walk can't reach aren't part of the panel, however close they snap
+        var coords = walk(points, lattice);
+        var reached = coords.map(Boolean);
+        var snapped = null, residuals = null;
+
+        for (var iteration = 0; iteration < gridFit.ITERATIONS; iteration++) {
+            var next = fitLattice(points, coords, lattice);
+            if (!next) {
+                throw "Can't fit a grid to these LEDs";
+            }
+            lattice = next;
+
+            // Snap every point to the refined lattice, and only fit the inliers next time
+            var pitch = Math.sqrt(geometry.norm(lattice.column) * geometry.norm(lattice.row));
+            residuals = [];
+            snapped = points.map(function (p, i) {
+                var c = toGrid(lattice, p).map(Math.round);
+                var q = gridFit.latticePoint(lattice, c[0], c[1]);
+                residuals[i] = Math.sqrt(Math.pow(p[0] - q[0], 2) + Math.pow(p[1] - q[1], 2)) / pitch;
+                return c;
+            });
+            var inliers = snapped.map(function (c, i) { return reached[i] && residuals[i] <= tolerance ? c : null; });
+            coords = inliers.some(Boolean) ? inliers : snapped.map(function (c, i) { return reached[i] ? c : null; });
+        }
+
+        // One LED per lattice point, the best fitting one
+        var owners = {};
+        var fits = points.map(function (p, i) {
+            if (!reached[i] || residuals[i] > tolerance) return false;
+            var key = snapped[i].join(',');
+            if (owners[key] == undefined || residuals[i] < residuals[owners[key]]) {
+                owners[key] = i;
+            }
+            return true;
+        });
+        fits = fits.map(function (fit, i) { return fit && owners[snapped[i].join(',')] == i; });
+
+        // Renumber so the fitting LEDs start at column 0, row 0
+        var min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+        snapped.forEach(function (c, i) {
+            if (!fits[i]) return;
+            for (var axis = 0; axis < 2; axis++) {
+                min[axis] = Math.min(min[axis], c[axis]);
+                max[axis] = Math.max(max[axis], c[axis]);
+            }
+        });
+        if (min[0] == Infinity) {
+            throw "No LEDs fit a grid";
+        }
+        lattice.origin = gridFit.latticePoint(lattice, min[0], min[1]);
+
+        return {
+            lattice: lattice,
+            pitch: [ geometry.norm(lattice.column), geometry.norm(lattice.row) ],
+            rotation: Math.atan2(lattice.column[1], lattice.column[0]) * 180 / Math.PI,
+            columns: max[0] - min[0] + 1,
+            rows: max[1] - min[1] + 1,
+            fitCount: fits.filter(Boolean).length,
+            cells: snapped.map(function (c, i) {
+                var column = c[0] - min[0], row = c[1] - min[1];
+                return {
+                    column: column,
+                    row: row,
+                    point: gridFit.latticePoint(lattice, column, row),
+                    residual: residuals[i],
+                    fits: fits[i],
+                };
+            }),
+        };
+    }
+
+    module.exports = gridFit;
+
+}());
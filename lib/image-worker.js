@@ -5,12 +5,77 @@
 var cv = require('opencv');
 var async = require('async');
 var childProcess = require('child_process');
-var which = require('which');
 var aWrite = require('atomic-write');
+var which = require('which');
+var graycode = require('./graycode.js');
+var pnm = require('./pnm.js');
+var develop = require('./develop.js');
 
-// Command line tools
 var dcraw = which.sync('dcraw');
-var pnmtopng = which.sync('pnmtopng');
+
+function findBlobs(image, threshold) {
+    /*
+     * Connected component analysis on a luminance plane. Pixels brighter than
+     * 'threshold' times the peak are grouped into 8-connected blobs, and each
+     * blob's moments are weighted by the luminance of its pixels.
+     *
+     * Returns blobs sorted by total energy, brightest first.
+     */
+
+    var width = image.width;
+    var height = image.height;
+    var data = image.data;
+    var labels = new Int32Array(width * height);
+    var stack = new Int32Array(width * height);
+    var blobs = [];
+
+    var peak = 0;
+    for (var i = 0; i < data.length; i++) {
+        peak = Math.max(peak, data[i]);
+    }
+    var cutoff = Math.max(0, peak * threshold);
+
+    for (var start = 0; start < data.length; start++) {
+        if (labels[start] || !(data[start] > cutoff)) {
+            continue;
+        }
+
+        // Flood fill a new blob
+        var blob = { pixels: 0, peak: 0, moments: { m00: 0, m10: 0, m01: 0 } };
+        var label = blobs.push(blob);
+        var top = 0;
+        stack[top++] = start;
+        labels[start] = label;
+
+        while (top) {
+            var i = stack[--top];
+            var x = i % width;
+            var y = (i / width)|0;
+            var w = data[i];
+
+            blob.pixels++;
+            blob.peak = Math.max(blob.peak, w);
+            blob.moments.m00 += w;
+            blob.moments.m10 += w * x;
+            blob.moments.m01 += w * y;
+
+            for (var dy = -1; dy <= 1; dy++) {
+                for (var dx = -1; dx <= 1; dx++) {
+                    var nx = x + dx, ny = y + dy;
+                    var n = nx + ny * width;
+                    if (nx >= 0 && ny >= 0 && nx < width && ny < height &&
+                        !labels[n] && data[n] > cutoff) {
+                        labels[n] = label;
+                        stack[top++] = n;
+                    }
+                }
+            }
+        }
+    }
+
+    blobs.sort(function (a, b) { return b.moments.m00 - a.moments.m00; });
+    return blobs;
+}
 
 module.exports = {
 
@@ -18,17 +83,34 @@ module.exports = {
         async.waterfall([
 
             // Extract the thumbnail image (much faster than full processing)
-            async.apply(childProcess.execFile, dcraw, [
-                '-e', '-c',
-                rawPath
-            ], {
-                encoding: 'binary',
-                maxBuffer: 100 * 1024 * 1024
-            }),
+            function (callback) {
+                if (!develop.isRawFile(rawPath)) {
+                    // Scale down to 8-bit RGB, the same as a RAW file's embedded JPEG
+                    return develop.readDeveloped(rawPath, function (err, data) {
+                        if (err) return callback(err);
+                        try {
+                            var image = pnm.parse(data);
+                        } catch (e) {
+                            return callback(e);
+                        }
+                        callback(null, pnm.format(pnm.toRGB8(image)));
+                    });
+                }
+
+                childProcess.execFile(dcraw, [
+                    '-e', '-c',
+                    rawPath
+                ], {
+                    encoding: 'binary',
+                    maxBuffer: 100 * 1024 * 1024
+                }, function (err, stdout, stderr) {
+                    if (err) return callback(err);
+                    callback(null, new Buffer(stdout, 'binary'));
+                });
+            },
 
             // Let OpenCV parse and decompress the image
-            function (stdout, stderr, callback) {
-                var jpeg = new Buffer(stdout, 'binary');
+            function (jpeg, callback) {
                 cv.readImage(jpeg, callback);
             },
 
@@ -71,18 +153,27 @@ module.exports = {
     extractDarkPGM: function (rawPath, outputPath, callback) {
         async.waterfall([
 
-            // Extract the dark frame in PGM format, in the format needed by "dcraw -K"
-            async.apply(childProcess.execFile, dcraw, [
-                '-D', '-4', '-j', '-t', '0', '-c',
-                rawPath
-            ], {
-                encoding: 'binary',
-                maxBuffer: 100 * 1024 * 1024
-            }),
+            // Extract the dark frame in PGM format, in the format needed by "dcraw -K".
+            // Developed images are stored as PNM, for the dark frame subtraction in develop.js.
+            function (callback) {
+                if (!develop.isRawFile(rawPath)) {
+                    return develop.readDeveloped(rawPath, callback);
+                }
+
+                childProcess.execFile(dcraw, [
+                    '-D', '-4', '-j', '-t', '0', '-c',
+                    rawPath
+                ], {
+                    encoding: 'binary',
+                    maxBuffer: 100 * 1024 * 1024
+                }, function (err, stdout, stderr) {
+                    if (err) return callback(err);
+                    callback(null, new Buffer(stdout, 'binary'));
+                });
+            },
 
             // Save to a specific path
-            function (stdout, stderr, callback) {
-                var data = new Buffer(stdout, 'binary');
+            function (data, callback) {
                 aWrite.writeFile(outputPath, data, callback);
             }
 
@@ -92,58 +183,324 @@ module.exports = {
     calculateLightImage: function (rawPath, darkPath, outputPath, denoise, blacklevel, callback) {
         async.waterfall([
 
-            // Extract the dark frame in PGM format, in the format needed by "dcraw -K"
-            async.apply(childProcess.execFile, dcraw, [
-                '-4', '-j', '-h', '-c',
-                '-K', darkPath,
-                '-n', denoise,
-                '-k', blacklevel,
-                rawPath
-            ], {
-                encoding: 'binary',
-                maxBuffer: 100 * 1024 * 1024
-            }),
-
-            // Compress and convert to PNG
-            function (stdout, stderr, callback) {
-                var data = new Buffer(stdout, 'binary');
-
-                var child = childProcess.execFile(pnmtopng, ['-'], {
-                    encoding: 'binary',
-                    maxBuffer: 100 * 1024 * 1024
-                }, callback);
+            async.apply(develop.linearImage, rawPath, darkPath, denoise, blacklevel),
+            async.apply(develop.writePNG, outputPath),
 
-                child.stdin.write(data, function (err) {
-                    if (err) return callback(err);
-                    child.stdin.end();
-                });
-            },
+        ], callback);
+    },
 
-            // Save to a specific path
-            function (stdout, stderr, callback) {
-                var data = new Buffer(stdout, 'binary');
-                aWrite.writeFile(outputPath, data, callback);
+    calculateColor: function (rawPath, darkPath, denoise, blacklevel, callback) {
+        // Total light in each of the camera's color channels, as [r, g, b], with the dark frame subtracted
+
+        develop.linearImage(rawPath, darkPath, denoise, blacklevel, function (err, data) {
+            if (err) return callback(err);
+            try {
+                var image = pnm.parse(data);
+            } catch (e) {
+                return callback(e);
+            }
+            if (image.channels != 3) {
+                return callback("Need a color image to measure color: " + rawPath);
             }
 
-        ], callback);
+            var sums = [0, 0, 0];
+            for (var i = 0; i < image.data.length; i += 3) {
+                sums[0] += image.data[i];
+                sums[1] += image.data[i + 1];
+                sums[2] += image.data[i + 2];
+            }
+            callback(null, sums);
+        });
     },
 
-    calculateMoments: function (imagePath, callback) {
-        async.waterfall([
+    calculateHDRLightImage: function (shots, outputPath, denoise, blacklevel, callback) {
+        /*
+         * Merge a bracket of {rawPath, darkPath, exposure} shots into one high dynamic
+         * range lightmap. Each sample is the exposure-weighted average of every shot
+         * where it isn't clipped, or the shortest exposure if it's clipped everywhere.
+         *
+         * The result is scaled to the shortest exposure so it fits in 16 bits.
+         * Calls back with { scale, clipped } where 'scale' converts merged values
+         * back to units of an exposure of 1, and 'clipped' counts samples that
+         * were clipped in every shot.
+         */
 
-            async.apply(cv.readImage, imagePath),
+        shots = shots.slice().sort(function (a, b) { return a.exposure - b.exposure; });
 
-            function (img, callback) {
-                img.convertGrayscale();
-                callback(null, {
-                    size: {
-                        width: img.width(),
-                        height: img.height(),
-                    },
-                    moments: img.moments(),
+        var sum, weight, fallback, image;
+
+        async.eachSeries(shots, function (shot, callback) {
+            develop.linearImage(shot.rawPath, shot.darkPath, denoise, blacklevel, function (err, data) {
+                if (err) return callback(err);
+
+                try {
+                    image = pnm.parse(data);
+                } catch (e) {
+                    return callback(e);
+                }
+
+                var count = image.data.length;
+                var clip = image.maxval * 0.9;
+
+                if (!sum) {
+                    // Shortest exposure comes first
+                    sum = new Float32Array(count);
+                    weight = new Float32Array(count);
+                    fallback = new Float32Array(count);
+                    for (var i = 0; i < count; i++) {
+                        fallback[i] = image.data[i] / shot.exposure;
+                    }
+                } else if (sum.length != count) {
+                    return callback("Bracketed shot " + shot.rawPath + " doesn't match the others in size");
+                }
+
+                for (var i = 0; i < count; i++) {
+                    if (image.data[i] < clip) {
+                        sum[i] += image.data[i];
+                        weight[i] += shot.exposure;
+                    }
+                }
+
+                callback();
+            });
+
+        }, function (err) {
+            if (err) return callback(err);
+
+            var scale = shots[0].exposure;
+            var clipped = 0;
+
+            for (var i = 0; i < image.data.length; i++) {
+                var value = weight[i] ? sum[i] / weight[i] : fallback[i];
+                if (!weight[i]) {
+                    clipped++;
+                }
+                image.data[i] = Math.min(image.maxval, Math.round(value * scale));
+            }
+
+            develop.writePNG(outputPath, pnm.format(image), function (err) {
+                if (err) return callback(err);
+                callback(null, { scale: scale, clipped: clipped });
+            });
+        });
+    },
+
+    calculateMoments: function (imagePath, threshold, maxBlobs, callback) {
+        /*
+         * Find the blobs of light in a lightmap. The primary blob is the one
+         * with the most total energy, and its moments are what we report for
+         * the LED, so a reflection or other stray light elsewhere in the image
+         * doesn't pull the centroid into empty space.
+         *
+         * Also returns a list of up to 'maxBlobs' blobs, primary first, each with
+         * its centroid and its energy relative to the primary blob.
+         */
+
+        develop.readDeveloped(imagePath, function (err, data) {
+            if (err) return callback(err);
+            try {
+                var image = pnm.parse(data);
+            } catch (e) {
+                return callback(e);
+            }
+
+            var plane = {
+                width: image.width,
+                height: image.height,
+                data: pnm.luminance(image),
+            };
+            var blobs = findBlobs(plane, threshold);
+            var primary = blobs[0] || { moments: { m00: 0, m10: 0, m01: 0 } };
+
+            callback(null, {
+                size: {
+                    width: image.width,
+                    height: image.height,
+                },
+                moments: primary.moments,
+                blobs: blobs.slice(0, maxBlobs).map(function (blob) {
+                    return {
+                        centroid: {
+                            x: blob.moments.m10 / blob.moments.m00,
+                            y: blob.moments.m01 / blob.moments.m00,
+                        },
+                        energy: blob.moments.m00 / primary.moments.m00,
+                        pixels: blob.pixels,
+                        peak: blob.peak,
+                    };
+                }),
+            });
+        });
+    },
+
+    decodeStructuredLight: function (frames, ledCount, denoise, blacklevel, callback) {
+        /*
+         * Decode a set of structured light frames: 'on' with every LED lit,
+         * one frame per Gray code bit, and a 'parity' verification frame.
+         * Each {rawPath, darkPath} frame is developed the same way as a lightmap.
+         *
+         * Every pixel lit in the 'on' frame is assigned the code it reads back,
+         * and pixels that fail verification are rejected. Returns the image size
+         * plus moments accumulated per code, weighted by the 'on' brightness.
+         */
+
+        develop.linearLuminance(frames.on, denoise, blacklevel, function (err, on) {
+            if (err) return callback(err);
+
+            var pixels = on.width * on.height;
+            var codes = new Uint32Array(pixels);
+
+            function isSet(image, i) {
+                // Pixel is considered lit if it's at least half as bright as with every LED on
+                return image.data[i] * 2 > on.data[i];
+            }
+
+            var bit = 0;
+            async.eachSeries(frames.bits, function (frame, callback) {
+                var mask = 1 << (bit++);
+                develop.linearLuminance(frame, denoise, blacklevel, function (err, image) {
+                    if (err) return callback(err);
+                    for (var i = 0; i < pixels; i++) {
+                        if (on.data[i] > 0 && isSet(image, i)) {
+                            codes[i] |= mask;
+                        }
+                    }
+                    callback();
                 });
-            },
 
-        ], callback);
+            }, function (err) {
+                if (err) return callback(err);
+
+                develop.linearLuminance(frames.parity, denoise, blacklevel, function (err, parity) {
+                    if (err) return callback(err);
+
+                    var leds = {};
+
+                    for (var i = 0; i < pixels; i++) {
+                        if (!(on.data[i] > 0)) {
+                            continue;
+                        }
+
+                        var code = graycode.decode(codes[i]);
+                        if (code < 1 || code > ledCount) {
+                            continue;
+                        }
+
+                        var led = leds[code] = leds[code] || {
+                            code: code, pixels: 0, rejected: 0,
+                            moments: { m00: 0, m10: 0, m01: 0 }
+                        };
+
+                        if (isSet(parity, i) != graycode.parity(code)) {
+                            led.rejected++;
+                            continue;
+                        }
+
+                        var x = i % on.width;
+                        var y = (i / on.width)|0;
+                        var w = on.data[i];
+
+                        led.pixels++;
+                        led.moments.m00 += w;
+                        led.moments.m10 += w * x;
+                        led.moments.m01 += w * y;
+                    }
+
+                    callback(null, {
+                        size: {
+                            width: on.width,
+                            height: on.height,
+                        },
+                        leds: Object.keys(leds).map(function (code) {
+                            return leds[code];
+                        }),
+                    });
+                });
+            });
+        });
+    },
+
+    splitLightmap: function (frame, points, radius, denoise, blacklevel, callback) {
+        /*
+         * Split the light from a {rawPath, darkPath} frame with several LEDs lit
+         * into a region per LED. Each pixel belongs to the nearest of the expected
+         * [x, y] LED positions, if it's within 'radius' of one.
+         *
+         * Returns the image size plus moments for each region, in the same order
+         * as 'points'. Each also has 'edge', the light on the region's boundary as
+         * a fraction of its total. That's near zero unless the blob spills over
+         * into a neighbor's region, or past the radius.
+         */
+
+        develop.linearLuminance(frame, denoise, blacklevel, function (err, image) {
+            if (err) return callback(err);
+
+            var width = image.width;
+            var height = image.height;
+            var owner = new Int32Array(width * height);
+            var dist2 = new Float32Array(width * height);
+
+            for (var i = 0; i < owner.length; i++) {
+                owner[i] = -1;
+            }
+
+            // Nearest point wins, only visiting pixels within the radius of each
+            points.forEach(function (point, n) {
+                var x0 = Math.max(0, Math.floor(point[0] - radius));
+                var x1 = Math.min(width - 1, Math.ceil(point[0] + radius));
+                var y0 = Math.max(0, Math.floor(point[1] - radius));
+                var y1 = Math.min(height - 1, Math.ceil(point[1] + radius));
+
+                for (var y = y0; y <= y1; y++) {
+                    for (var x = x0; x <= x1; x++) {
+                        var dx = x - point[0], dy = y - point[1];
+                        var d2 = dx*dx + dy*dy;
+                        var i = x + y * width;
+                        if (d2 <= radius * radius && (owner[i] < 0 || d2 < dist2[i])) {
+                            owner[i] = n;
+                            dist2[i] = d2;
+                        }
+                    }
+                }
+            });
+
+            var leds = points.map(function () {
+                return { moments: { m00: 0, m10: 0, m01: 0 }, edge: 0 };
+            });
+
+            for (var y = 0; y < height; y++) {
+                for (var x = 0; x < width; x++) {
+                    var i = x + y * width;
+                    var n = owner[i];
+                    var w = image.data[i];
+                    if (n < 0 || !(w > 0)) {
+                        continue;
+                    }
+
+                    var led = leds[n];
+                    led.moments.m00 += w;
+                    led.moments.m10 += w * x;
+                    led.moments.m01 += w * y;
+
+                    if (x == 0 || y == 0 || x == width - 1 || y == height - 1 ||
+                        owner[i - 1] != n || owner[i + 1] != n ||
+                        owner[i - width] != n || owner[i + width] != n) {
+                        led.edge += w;
+                    }
+                }
+            }
+
+            leds.forEach(function (led) {
+                led.edge = led.moments.m00 ? led.edge / led.moments.m00 : 0;
+            });
+
+            callback(null, {
+                size: {
+                    width: width,
+                    height: height,
+                },
+                leds: leds,
+            });
+        });
     },
 };
@@ -0,0 +1,265 @@
+/*
+ * layout-export.js - Convert a layout from mapper-2d.js into formats other
+ *                    LED tools can read.
+ *
+ * Layouts are indexed by OPC pixel, and there are gaps wherever an LED wasn't
+ * mapped: null entries, or entries without a point. Every format keeps LEDs at
+ * their OPC index, so patterns still address the right pixels, and each one
+ * handles the gaps in its own documented way.
+ *
+ * Each exporter is { extension, description, gaps, write(layout, infos, options) }
+ * where 'infos' is from layoutExport.ledInfoMap() and write() returns the file
+ * contents as a string. Options:
+ *
+ *   plane          Two axes for 2D formats, like "xy" [default: xy]
+ *   dimensions     2 or 3, for formats that can be either [default: 3 if any z varies]
+ *   name           Model name, where the format has one
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var fadecandy = require('./fadecandy.js');
+    var geometry = require('./geometry.js');
+    var opcDriver = require('./opc-driver.js');
+
+    var layoutExport = {};
+
+    var AXES = { x: 0, y: 1, z: 2 };
+
+    // Give up on a collision-free xLights grid past this many cells across
+    var MAX_GRID = 2000;
+
+    function isMapped(entry) {
+        return !!(entry && entry.point);
+    }
+
+    function planePoint(entry, options) {
+        var plane = options.plane || 'xy';
+        return [ entry.point[AXES[plane[0]]], entry.point[AXES[plane[1]]] ];
+    }
+
+    function dimensions(layout, options) {
+        if (options.dimensions) {
+            return options.dimensions|0;
+        }
+        var z = null;
+        return layout.some(function (entry) {
+            if (!isMapped(entry)) return false;
+            var pz = entry.point[2] || 0;
+            if (z == null) z = pz;
+            return pz != z;
+        }) ? 3 : 2;
+    }
+
+    function round(v) {
+        return Math.round(v * 10000) / 10000;
+    }
+
+    function xmlEscape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    layoutExport.ledInfoMap = function (layout, config, channel) {
+        /*
+         * ledInfo() for each layout index, from the config's mappings on OPC
+         * 'channel'. Pixels that aren't in the config are treated as plain OPC
+         * pixels on that same channel.
+         */
+
+        var devicePixels = fadecandy.devicePixelsFromConfig(config || {}, channel|0);
+        return layout.map(function (entry, index) {
+            return devicePixels[index] || opcDriver.ledInfo(channel|0, index);
+        });
+    }
+
+    layoutExport.formats = {};
+
+    layoutExport.formats.csv = {
+        extension: '.csv',
+        description: 'Spreadsheet with one row per OPC pixel',
+        gaps: 'A row with the index and an "unmapped" status, but no coordinates',
+
+        write: function (layout, infos, options) {
+            var rows = [ 'index,x,y,z,device,strip,position,status,gain' ];
+
+            layout.forEach(function (entry, index) {
+                var info = infos[index];
+                var ids = [ info.device, info.stripIndex, info.stripPosition ];
+                if (!isMapped(entry)) {
+                    rows.push([ index, '', '', '' ].concat(ids, [ 'unmapped', '' ]).join(','));
+                    return;
+                }
+                rows.push([
+                    index, round(entry.point[0]), round(entry.point[1]), round(entry.point[2] || 0)
+                ].concat(ids, [
+                    entry.status || 'measured',
+                    entry.gain == undefined ? '' : entry.gain,
+                ]).join(','));
+            });
+
+            return rows.join('\n') + '\n';
+        }
+    };
+
+    layoutExport.formats.xlights = {
+        extension: '.xmodel',
+        description: 'xLights custom model, a 2D grid of node numbers',
+        gaps: 'Node numbers are OPC index + 1, so unmapped pixels are node numbers that never appear in the grid',
+
+        write: function (layout, infos, options) {
+            /*
+             * The grid starts with two cells per typical LED spacing, and gets
+             * finer until no two LEDs share a cell.
+             */
+
+            var points = [];
+            layout.forEach(function (entry, index) {
+                if (isMapped(entry)) {
+                    points.push({ index: index, xy: planePoint(entry, options) });
+                }
+            });
+            if (!points.length) {
+                throw "No mapped pixels to export";
+            }
+
+            var min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+            points.forEach(function (p) {
+                for (var i = 0; i < 2; i++) {
+                    min[i] = Math.min(min[i], p.xy[i]);
+                    max[i] = Math.max(max[i], p.xy[i]);
+                }
+            });
+
+            var spacing = geometry.typicalSpacing(points.map(function (p) { return p.xy; }));
+            if (points.length > 1 && !spacing && max[0] == min[0] && max[1] == min[1]) {
+                // No grid is fine enough to tell them apart
+                throw "Every mapped LED is in the same place, can't make an xLights grid";
+            }
+            var scale = spacing ? 2 / spacing : 1;
+            var cells;
+
+            while (true) {
+                var width = Math.round((max[0] - min[0]) * scale) + 1;
+                var height = Math.round((max[1] - min[1]) * scale) + 1;
+                cells = {};
+                var collision = points.some(function (p) {
+                    var key = Math.round((p.xy[0] - min[0]) * scale) + ',' + Math.round((p.xy[1] - min[1]) * scale);
+                    if (cells[key] != undefined) return true;
+                    cells[key] = p.index + 1;
+                });
+                if (!collision) {
+                    break;
+                }
+                if (Math.max(width, height) * 1.25 > MAX_GRID) {
+                    throw "LEDs are too close together for an xLights grid under " + MAX_GRID + " cells across";
+                }
+                scale *= 1.25;
+            }
+
+            var rows = [];
+            for (var y = 0; y < height; y++) {
+                var row = [];
+                for (var x = 0; x < width; x++) {
+                    var node = cells[x + ',' + y];
+                    row.push(node == undefined ? '' : node);
+                }
+                rows.push(row.join(','));
+            }
+
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                '<custommodel name="' + xmlEscape(options.name || 'LED Layout') + '"' +
+                ' parm1="' + width + '" parm2="' + height + '"' +
+                ' StringType="RGB Nodes" Transparency="0" PixelSize="2" ModelBrightness="" Antialias="1"' +
+                ' StrandNames="" NodeNames=""' +
+                ' CustomModel="' + rows.join(';') + '" >\n' +
+                '</custommodel>\n';
+        }
+    };
+
+    layoutExport.formats.pixelblaze = {
+        extension: '.pixelblaze.json',
+        description: 'Pixelblaze pixel map, a JSON array of [x, y] or [x, y, z] per pixel',
+        gaps: 'Every pixel needs a position, so unmapped pixels get a copy of the nearest mapped pixel before them (or after, at the start)',
+
+        write: function (layout, infos, options) {
+            var dims = dimensions(layout, options);
+
+            var coords = layout.map(function (entry) {
+                if (!isMapped(entry)) return null;
+                var p = dims == 3 ? entry.point : planePoint(entry, options);
+                return p.slice(0, dims).map(function (v) { return round(v || 0); });
+            });
+
+            var last = null;
+            for (var i = 0; i < coords.length; i++) {
+                if (coords[i]) {
+                    last = coords[i];
+                } else if (last) {
+                    coords[i] = last;
+                }
+            }
+            for (var i = coords.length - 1; i >= 0; i--) {
+                if (coords[i]) {
+                    last = coords[i];
+                } else {
+                    coords[i] = last;
+                }
+            }
+
+            if (!last) {
+                throw "No mapped pixels to export";
+            }
+            return JSON.stringify(coords) + '\n';
+        }
+    };
+
+    layoutExport.formats.ply = {
+        extension: '.ply',
+        description: 'ASCII PLY point cloud, with each vertex\'s OPC index and strip position',
+        gaps: 'Unmapped pixels have no vertex; the "index" property says which pixel each vertex is',
+
+        write: function (layout, infos, options) {
+            var vertices = [];
+            layout.forEach(function (entry, index) {
+                if (isMapped(entry)) {
+                    var info = infos[index];
+                    vertices.push([
+                        round(entry.point[0]), round(entry.point[1]), round(entry.point[2] || 0),
+                        index, info.stripIndex, info.stripPosition
+                    ].join(' '));
+                }
+            });
+
+            return [
+                'ply',
+                'format ascii 1.0',
+                'comment ' + (options.name || 'LED layout'),
+                'element vertex ' + vertices.length,
+                'property float x',
+                'property float y',
+                'property float z',
+                'property int index',
+                'property int strip',
+                'property int position',
+                'end_header',
+            ].concat(vertices).join('\n') + '\n';
+        }
+    };
+
+    layoutExport.write = function (format, layout, infos, options) {
+        // Export a layout in one of the formats above, by name
+
+        var exporter = layoutExport.formats[format];
+        if (!exporter) {
+            throw "Unknown layout format '" + format + "', try one of: " + Object.keys(layoutExport.formats).join(', ');
+        }
+        return exporter.write(layout, infos, options || {});
+    }
+
+    module.exports = layoutExport;
+
+}());
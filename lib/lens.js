@@ -0,0 +1,89 @@
+/*
+ * lens.js - Camera lens calibration files, and removing lens distortion from
+ *           points measured in photos.
+ *
+ * A calibration is the camera matrix and distortion coefficients from OpenCV's
+ * calibrateCamera(), in the standard radial and tangential model. It's stored
+ * as JSON, so the same file can be reused by any session shot with that lens:
+ *
+ *   {
+ *     "imageSize": { "width": w, "height": h },
+ *     "cameraMatrix": [ [fx, 0, cx], [0, fy, cy], [0, 0, 1] ],
+ *     "distortion": [ k1, k2, p1, p2, k3 ],
+ *     "rms": reprojection error in pixels,
+ *     ...
+ *   }
+ *
+ * Images of a different size than the calibration, such as half-size lightmaps,
+ * are handled by scaling the camera matrix.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var fs = require('fs');
+    var path = require('path');
+
+    var lens = {};
+
+    lens.DEFAULT_FILENAME = 'lens.json';
+
+    // Fixed point iterations when inverting the distortion model, the same as OpenCV
+    lens.UNDISTORT_ITERATIONS = 20;
+
+    lens.load = function (filename) {
+        // Load and check a calibration file
+
+        var json = JSON.parse(fs.readFileSync(filename));
+        if (!json.imageSize || !json.cameraMatrix || !json.distortion) {
+            throw "Not a lens calibration file: " + filename;
+        }
+        return json;
+    }
+
+    lens.forSession = function (photosFile) {
+        // The calibration stored alongside a session's photos.json, or null if there isn't one
+
+        var filename = path.join(path.dirname(photosFile), lens.DEFAULT_FILENAME);
+        return fs.existsSync(filename) ? lens.load(filename) : null;
+    }
+
+    lens.undistort = function (calibration, point, size) {
+        /*
+         * Remove lens distortion from an [x, y] point in pixels, in an image of
+         * the given { width, height }. The result is in pixels of an ideal
+         * camera with the same camera matrix, so points near the center of the
+         * image barely move.
+         */
+
+        var sx = size ? size.width / calibration.imageSize.width : 1;
+        var sy = size ? size.height / calibration.imageSize.height : 1;
+        var k = calibration.cameraMatrix;
+        var fx = k[0][0] * sx, cx = k[0][2] * sx;
+        var fy = k[1][1] * sy, cy = k[1][2] * sy;
+
+        var d = calibration.distortion;
+        var k1 = d[0] || 0, k2 = d[1] || 0, p1 = d[2] || 0, p2 = d[3] || 0, k3 = d[4] || 0;
+
+        // Normalized coordinates of the distorted point
+        var x0 = (point[0] - cx) / fx;
+        var y0 = (point[1] - cy) / fy;
+        var x = x0, y = y0;
+
+        for (var i = 0; i < lens.UNDISTORT_ITERATIONS; i++) {
+            var r2 = x*x + y*y;
+            var radial = 1 + ((k3 * r2 + k2) * r2 + k1) * r2;
+            var dx = 2 * p1 * x * y + p2 * (r2 + 2 * x*x);
+            var dy = p1 * (r2 + 2 * y*y) + 2 * p2 * x * y;
+            x = (x0 - dx) / radial;
+            y = (y0 - dy) / radial;
+        }
+
+        return [ x * fx + cx, y * fy + cy ];
+    }
+
+    module.exports = lens;
+
+}());
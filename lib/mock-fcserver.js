@@ -0,0 +1,209 @@
+/*
+ * mock-fcserver.js - A stand-in for fcserver that speaks enough of its
+ *                    WebSocket JSON API for fadecandy.js, with fake devices.
+ *
+ * Implements list_connected_devices, device_options, device_color_correction
+ * and device_pixels. Every pixel frame received is recorded, and also emitted
+ * as a 'pixels' event, so capture runs can be checked without any hardware.
+ * Devices can be added and removed at runtime, which sends clients the same
+ * connected_devices_changed notification fcserver would.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var http = require('http');
+    var events = require('events');
+    var WebSocketServer = require('ws').Server;
+
+    var mock = {};
+
+    mock.DEFAULT_PORT = 7890;
+    mock.DEFAULT_SERIALS = [ 'MOCK0000000000001' ];
+
+    mock.listen = function (options, callback) {
+        /*
+         * Start a mock server. Options:
+         *
+         *   host, port     Address to listen on. Port 0 picks any free port.
+         *   serials        List of fake Fadecandy serial numbers
+         *   recordLimit    Keep at most this many frames in server.frames [default: unlimited]
+         *
+         * Calls back with a server object once it's listening.
+         */
+
+        var server = new events.EventEmitter();
+
+        server.devices = {};
+        server.frames = [];
+        server.sockets = [];
+
+        function createDevice(serial) {
+            server.devices[serial] = {
+                type: 'fadecandy',
+                serial: serial,
+                timestamp: Date.now(),
+                version: '1.07',
+                bcd_version: '0x0107',
+                options: {},
+                color: null,
+                pixels: new Uint8Array(512 * 3),
+            };
+        }
+
+        (options.serials || mock.DEFAULT_SERIALS).forEach(createDevice);
+
+        server.deviceList = function () {
+            // Device list in the form fcserver reports it, sorted by serial number
+
+            return Object.keys(server.devices).sort().map(function (serial) {
+                var dev = server.devices[serial];
+                return {
+                    type: dev.type,
+                    serial: dev.serial,
+                    timestamp: dev.timestamp,
+                    version: dev.version,
+                    bcd_version: dev.bcd_version,
+                };
+            });
+        }
+
+        server.litPixels = function (serial) {
+            // List of pixel indices currently lit on one device
+
+            var pixels = server.devices[serial].pixels;
+            var result = [];
+            for (var i = 0; i < pixels.length / 3; i++) {
+                if (pixels[3*i] || pixels[3*i + 1] || pixels[3*i + 2]) {
+                    result.push(i);
+                }
+            }
+            return result;
+        }
+
+        server.broadcast = function (obj) {
+            // Send a message to every connected client
+            var text = JSON.stringify(obj);
+            server.sockets.forEach(function (socket) {
+                socket.send(text);
+            });
+        }
+
+        server.addDevice = function (serial) {
+            // Simulate plugging in a Fadecandy board
+            createDevice(serial);
+            server.broadcast({ type: 'connected_devices_changed', devices: server.deviceList() });
+        }
+
+        server.removeDevice = function (serial) {
+            // Simulate unplugging a Fadecandy board
+            delete server.devices[serial];
+            server.broadcast({ type: 'connected_devices_changed', devices: server.deviceList() });
+        }
+
+        server.handleMessage = function (obj) {
+            // Handle one parsed message, returning the reply object
+
+            var reply = { type: obj.type, sequence: obj.sequence };
+            var dev = obj.device && server.devices[obj.device.serial];
+
+            if (obj.type == 'list_connected_devices') {
+                reply.devices = server.deviceList();
+                return reply;
+            }
+
+            if (!/^device_/.test(obj.type)) {
+                reply.error = "Unknown message type";
+                return reply;
+            }
+
+            if (!dev) {
+                reply.error = "Device not found";
+                return reply;
+            }
+
+            switch (obj.type) {
+
+                case 'device_options':
+                    for (var key in obj.options) {
+                        dev.options[key] = obj.options[key];
+                    }
+                    break;
+
+                case 'device_color_correction':
+                    dev.color = obj.color;
+                    break;
+
+                case 'device_pixels':
+                    var pixels = obj.pixels || [];
+                    dev.pixels = new Uint8Array(512 * 3);
+                    for (var i = 0; i < pixels.length && i < dev.pixels.length; i++) {
+                        dev.pixels[i] = pixels[i];
+                    }
+
+                    server.frames.push({
+                        device: dev.serial,
+                        timestamp: Date.now(),
+                        pixels: dev.pixels,
+                    });
+                    if (options.recordLimit && server.frames.length > options.recordLimit) {
+                        server.frames.shift();
+                    }
+
+                    server.emit('pixels', dev.serial, dev.pixels);
+                    break;
+
+                default:
+                    reply.error = "Unknown message type";
+            }
+
+            return reply;
+        }
+
+        server.close = function (callback) {
+            server.sockets.forEach(function (socket) {
+                socket.close();
+            });
+            server.wss.close();
+            server.http.close(callback);
+        }
+
+        server.http = http.createServer(function (req, res) {
+            res.writeHead(404);
+            res.end();
+        });
+
+        server.wss = new WebSocketServer({ server: server.http });
+
+        server.wss.on('connection', function (socket) {
+            server.sockets.push(socket);
+
+            socket.on('message', function (data) {
+                try {
+                    var obj = JSON.parse(data);
+                } catch (e) {
+                    return;
+                }
+                socket.send(JSON.stringify(server.handleMessage(obj)));
+            });
+
+            socket.on('close', function () {
+                server.sockets.splice(server.sockets.indexOf(socket), 1);
+            });
+        });
+
+        server.http.on('error', callback);
+        server.http.listen(options.port == undefined ? mock.DEFAULT_PORT : options.port,
+            options.host || '127.0.0.1', function () {
+                server.http.removeListener('error', callback);
+                server.address = server.http.address();
+                server.url = 'ws://' + server.address.address + ':' + server.address.port;
+                callback(null, server);
+            });
+    }
+
+    module.exports = mock;
+
+}());
@@ -0,0 +1,243 @@
+/*
+ * opc-driver.js - Lights LEDs for photographer.js through any Open Pixel Control
+ *                 server, for installations that aren't driven by Fadecandy boards.
+ *
+ * A driver has the same interface as a fadecandy.js connection, so the capture
+ * code doesn't care which one it has. Each OPC channel we map appears as a
+ * pseudo-device named like "opc-1". OPC is one-way, so there's no way to ask
+ * which pixels exist; the caller lists ranges of pixels to try instead.
+ *
+ * Frames are sent as-is. Turn off any interpolation, dithering, or gamma
+ * correction the OPC server does, or at least give it time to settle.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var OPC = require('./opc.js');
+    var fadecandy = require('./fadecandy.js');
+    var events = require('events');
+    var async = require('async');
+
+    var opcDriver = {};
+
+    opcDriver.DEFAULT_PORT = 7890;
+    opcDriver.RECONNECT_INTERVAL = 1000;
+    opcDriver.SETTLE_TIME = 100;
+
+    opcDriver.deviceName = function(channel) {
+        return 'opc-' + channel;
+    }
+
+    opcDriver.channelForDevice = function(name) {
+        // OPC channel number for a pseudo-device name, or null if it's something else
+        var m = /^opc-(\d+)$/.exec(name);
+        return m ? parseInt(m[1], 10) : null;
+    }
+
+    opcDriver.ledInfo = function(channel, index) {
+        // Like fadecandy.ledInfo(), plus the OPC channel. Strips are grouped the same way.
+
+        var info = fadecandy.ledInfo(opcDriver.deviceName(channel), index);
+        info.channel = channel;
+        return info;
+    }
+
+    opcDriver.parseRanges = function(text) {
+        /*
+         * Parse a list of pixel ranges like "1:0-299,2:0-99", into a list of
+         * { channel, first, count } objects. The channel defaults to 0, and a
+         * single number is a range of one pixel.
+         *
+         * Channel 0 is broadcast to every channel, so it can't be mixed with others.
+         */
+
+        var ranges = String(text).split(',').map(function (part) {
+            var m = /^\s*(?:(\d+):)?(\d+)(?:-(\d+))?\s*$/.exec(part);
+            if (!m) {
+                throw "Can't parse OPC pixel range: " + part;
+            }
+            var first = parseInt(m[2], 10);
+            var last = m[3] == undefined ? first : parseInt(m[3], 10);
+            var channel = m[1] == undefined ? 0 : parseInt(m[1], 10);
+            if (channel > 255 || last < first || last > 0xFFFF / 3) {
+                throw "Bad OPC pixel range: " + part;
+            }
+            return { channel: channel, first: first, count: last - first + 1 };
+        });
+
+        var channels = ranges.map(function (r) { return r.channel; });
+        if (channels.indexOf(0) >= 0 && channels.some(function (c) { return c != 0; })) {
+            throw "OPC channel 0 broadcasts to all channels, it can't be mapped along with others";
+        }
+
+        return ranges;
+    }
+
+    opcDriver.ledsForRanges = function(ranges) {
+        // List of ledInfo() objects for every pixel in a list of ranges
+
+        var results = [];
+        ranges.forEach(function (range) {
+            for (var i = 0; i < range.count; i++) {
+                results.push(opcDriver.ledInfo(range.channel, range.first + i));
+            }
+        });
+        return results;
+    }
+
+    opcDriver.connect = function(options, callback) {
+        /*
+         * Connect to an OPC server. Options:
+         *
+         *   host, port     Address of the OPC server
+         *   ranges         Pixels we'll be lighting, from parseRanges()
+         *
+         * Calls back with a driver once connected. If the server goes away later,
+         * it emits 'lost' and keeps trying until it can emit 'reconnect'.
+         */
+
+        var driver = new events.EventEmitter();
+        var client = new OPC(options.host || 'localhost', options.port || opcDriver.DEFAULT_PORT);
+        var reconnectTimer = null;
+
+        driver.ranges = options.ranges;
+        driver.open = false;
+        driver.closing = false;
+
+        // Brightness for lights turned on by singleLight() and lightPattern(), from 0 to 255
+        driver.driveLevel = 255;
+
+        // One pseudo-device per channel, with enough pixels to cover its ranges
+        var byChannel = {};
+        driver.ranges.forEach(function (range) {
+            var device = byChannel[range.channel] = byChannel[range.channel] || {
+                type: 'opc',
+                serial: opcDriver.deviceName(range.channel),
+                channel: range.channel,
+                pixelCount: 0,
+            };
+            device.pixelCount = Math.max(device.pixelCount, range.first + range.count);
+        });
+        driver.devices = Object.keys(byChannel).map(function (channel) {
+            return byChannel[channel];
+        });
+
+        driver.isConnected = function (serial) {
+            // Our pseudo-devices are all there as long as the server is
+            return driver.open && driver.devices.some(function (device) {
+                return device.serial == serial;
+            });
+        }
+
+        driver.waitForDevices = function (serials, callback) {
+            // Call back as soon as we're connected to the OPC server
+
+            if (driver.open) {
+                return callback();
+            }
+            console.log("Waiting for OPC server");
+            driver.once('reconnect', function () {
+                callback();
+            });
+        }
+
+        driver.close = function () {
+            // Close for good, without reconnecting
+
+            driver.closing = true;
+            clearTimeout(reconnectTimer);
+            if (client.socket) {
+                client.socket.end();
+            }
+        }
+
+        function connect(callback) {
+            client.connect(function (err) {
+                if (err) return callback(err);
+
+                driver.open = true;
+                client.socket.on('close', function () {
+                    driver.open = false;
+                    if (!driver.closing) {
+                        console.log("Lost connection to OPC server, reconnecting");
+                        driver.emit('lost');
+                        scheduleReconnect();
+                    }
+                });
+                callback();
+            });
+        }
+
+        function scheduleReconnect() {
+            if (driver.closing || reconnectTimer) {
+                return;
+            }
+            reconnectTimer = setTimeout(function () {
+                reconnectTimer = null;
+                connect(function (err) {
+                    if (err) return scheduleReconnect();
+                    console.log("Reconnected to OPC server");
+                    driver.emit('reconnect');
+                });
+            }, opcDriver.RECONNECT_INTERVAL);
+        }
+
+        driver.rawPixels = function (device, rgb, callback) {
+            // Send one frame of 8-bit RGB values to a channel, then wait for it to settle
+
+            if (!driver.open) {
+                return callback('Not connected to OPC server');
+            }
+
+            client.channel = device.channel;
+            client.setPixelCount(rgb.length / 3);
+            for (var i = 0; i < rgb.length; i++) {
+                client.pixelBuffer[4 + i] = rgb[i];
+            }
+            client.writePixels(function (err) {
+                if (err) return callback(err);
+                setTimeout(callback, opcDriver.SETTLE_TIME);
+            });
+        }
+
+        driver.lightPattern = function (isLit, callback) {
+            // Turn on every light for which isLit(device, index) is true, at the drive level
+
+            async.eachSeries(driver.devices, function (device, callback) {
+                var array = new Uint8Array(device.pixelCount * 3);
+                for (var index = 0; index < device.pixelCount; index++) {
+                    if (isLit(device, index)) {
+                        for (var i = 0; i < 3; i++) {
+                            array[3*index + i] = driver.driveLevel;
+                        }
+                    }
+                }
+                driver.rawPixels(device, array, callback);
+            }, callback);
+        }
+
+        driver.lightsOff = function (callback) {
+            // Turn all lights off, on all channels
+            driver.lightPattern(function () { return false; }, callback);
+        }
+
+        driver.singleLight = function (device, index, callback) {
+            // Turn a single light on at the drive level, and all others off
+
+            driver.lightPattern(function (thisDevice, thisIndex) {
+                return thisDevice.serial == device.serial && thisIndex == index;
+            }, callback);
+        }
+
+        connect(function (err) {
+            if (err) return callback(err);
+            callback(null, driver);
+        });
+    }
+
+    module.exports = opcDriver;
+
+}());
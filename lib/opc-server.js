@@ -0,0 +1,111 @@
+/*
+ * opc-server.js - Receives Open Pixel Control messages over TCP, standing in
+ *                 for fcserver or any other OPC server.
+ *
+ * Only the set-pixel command is understood; system exclusive messages and
+ * other commands are skipped. The latest pixels for each channel are kept in
+ * server.channels. The server is an EventEmitter with these events:
+ *
+ *   'pixels' (channel, pixels)    8-bit RGB data for one channel, as a Uint8Array
+ *   'connect' (socket)            A client connected
+ *   'disconnect' (socket)         A client went away
+ *
+ * Channel 0 is a broadcast to every channel. It's stored and emitted as
+ * channel 0, and it's up to listeners to treat it as applying to all of them.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var net = require('net');
+    var events = require('events');
+
+    var opcServer = {};
+
+    opcServer.DEFAULT_PORT = 7890;
+    opcServer.CMD_SET_PIXELS = 0;
+
+    opcServer.listen = function (options, callback) {
+        /*
+         * Start listening. Options:
+         *
+         *   host, port     Address to listen on. Port 0 picks any free port.
+         *
+         * Calls back with a server object once it's listening.
+         */
+
+        var server = new events.EventEmitter();
+
+        server.channels = {};
+        server.clients = [];
+        server.frameCount = 0;
+
+        server.handleMessage = function (channel, command, data) {
+            // Handle one complete message
+
+            if (command != opcServer.CMD_SET_PIXELS) {
+                return;
+            }
+
+            // Messages may end in the middle of a pixel; ignore the partial one
+            var pixels = new Uint8Array(data.length - data.length % 3);
+            for (var i = 0; i < pixels.length; i++) {
+                pixels[i] = data[i];
+            }
+
+            server.channels[channel] = pixels;
+            server.frameCount++;
+            server.emit('pixels', channel, pixels);
+        }
+
+        server.close = function (callback) {
+            server.clients.forEach(function (socket) {
+                socket.destroy();
+            });
+            server.tcp.close(callback);
+        }
+
+        server.tcp = net.createServer(function (socket) {
+            var buffer = new Buffer(0);
+
+            server.clients.push(socket);
+            server.emit('connect', socket);
+
+            socket.on('data', function (data) {
+                buffer = Buffer.concat([ buffer, data ]);
+
+                // Header is channel, command, and a 16-bit big endian length
+                while (buffer.length >= 4) {
+                    var length = buffer.readUInt16BE(2);
+                    if (buffer.length < 4 + length) {
+                        break;
+                    }
+                    server.handleMessage(buffer[0], buffer[1], buffer.slice(4, 4 + length));
+                    buffer = buffer.slice(4 + length);
+                }
+            });
+
+            socket.on('error', function () {
+                // Clients come and go; the 'close' handler cleans up
+            });
+
+            socket.on('close', function () {
+                server.clients.splice(server.clients.indexOf(socket), 1);
+                server.emit('disconnect', socket);
+            });
+        });
+
+        server.tcp.on('error', callback);
+        server.tcp.listen(options.port == undefined ? opcServer.DEFAULT_PORT : options.port,
+            options.host || '127.0.0.1', function () {
+                server.tcp.removeListener('error', callback);
+                server.address = server.tcp.address();
+                callback(null, server);
+            });
+    }
+
+    module.exports = opcServer;
+
+}());
@@ -17,38 +17,64 @@ var OPC = function(host, port)
 {
     this.host = host;
     this.port = port;
+    this.channel = 0;
     this.pixelBuffer = null;
+
+    // Gamma the server applies, for converting per-LED gains in the model into pixel values
+    this.gamma = 2.5;
 };
 
-OPC.prototype._reconnect = function()
+OPC.prototype._reconnect = function(callback)
 {
     var _this = this;
 
     this.socket = new net.Socket()
     this.connected = false;
 
-    this.socket.onclose = function() {
+    this.socket.on('close', function() {
         console.log("Connection closed");
         _this.socket = null;
         _this.connected = false;
-    }
+    });
+
+    this.socket.on('error', function(err) {
+        // Followed by 'close'. We try again on the next write.
+        console.log("Connection error: " + err);
+        if (callback && !_this.connected) {
+            callback(err);
+            callback = null;
+        }
+    });
 
     this.socket.connect(this.port, this.host, function() {
         console.log("Connected to " + _this.socket.remoteAddress);
         _this.connected = true;
         _this.socket.setNoDelay();
+        if (callback) {
+            callback();
+            callback = null;
+        }
     });
 }
 
-OPC.prototype.writePixels = function()
+OPC.prototype.connect = function(callback)
+{
+    // Connect right away instead of on the first write. Calls back once connected, or with an error.
+    this._reconnect(callback);
+}
+
+OPC.prototype.writePixels = function(callback)
 {
+    // Optional callback is invoked once the data has been written, or with an error if we're disconnected
+
     if (!this.socket) {
         this._reconnect();
     }
     if (!this.connected) {
+        if (callback) callback("Not connected to OPC server");
         return;
     }
-    this.socket.write(this.pixelBuffer);
+    this.socket.write(this.pixelBuffer, callback);
 }
 
 OPC.prototype.setPixelCount = function(num)
@@ -59,9 +85,9 @@ OPC.prototype.setPixelCount = function(num)
     }
 
     // Initialize OPC header
-    this.pixelBuffer.writeUInt8(0, 0);           // Channel
-    this.pixelBuffer.writeUInt8(0, 1);           // Command
-    this.pixelBuffer.writeUInt16BE(num * 3, 2);  // Length
+    this.pixelBuffer.writeUInt8(this.channel, 0);    // Channel
+    this.pixelBuffer.writeUInt8(0, 1);               // Command
+    this.pixelBuffer.writeUInt16BE(num * 3, 2);      // Length
 }
 
 OPC.prototype.setPixel = function(num, r, g, b)
@@ -89,6 +115,17 @@ OPC.prototype.mapPixels = function(fn, model)
         return;
     }
 
+    this.setMappedPixels(fn, model);
+    this.writePixels();
+}
+
+OPC.prototype.setMappedPixels = function(fn, model)
+{
+    // The pixel buffer half of mapPixels(), without writing. Useful for rendering offline.
+    //
+    // Model elements with a 'gain', from mapper-2d.js --equalize, are scaled by it.
+    // Gains are in linear light, so they're corrected by this.gamma first.
+
     this.setPixelCount(model.length);
     var offset = 4;
     var unused = [0, 0, 0];     // Color for unused channels (null model)
@@ -97,13 +134,16 @@ OPC.prototype.mapPixels = function(fn, model)
         var led = model[i];
         var rgb = led ? fn(led) : unused;
 
+        if (led && led.gain != undefined) {
+            var s = Math.pow(led.gain, 1 / this.gamma);
+            rgb = [ rgb[0] * s, rgb[1] * s, rgb[2] * s ];
+        }
+
         this.pixelBuffer.writeUInt8(Math.max(0, Math.min(255, rgb[0] | 0)), offset);
         this.pixelBuffer.writeUInt8(Math.max(0, Math.min(255, rgb[1] | 0)), offset + 1);
         this.pixelBuffer.writeUInt8(Math.max(0, Math.min(255, rgb[2] | 0)), offset + 2);
         offset += 3;
     }
-
-    this.writePixels();
 }
 
 
@@ -0,0 +1,135 @@
+/*
+ * pnm.js - Minimal reader and writer for the binary PGM/PPM images used by
+ *          dcraw and netpbm, so we can get at linear 16-bit pixel data without
+ *          a round trip through OpenCV.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var pnm = {};
+
+    pnm.parse = function (buffer) {
+        /*
+         * Parse a binary P5 (grayscale) or P6 (RGB) image, with 8 or 16 bits per sample.
+         * Returns { width, height, channels, maxval, data } where 'data' is a
+         * Uint16Array of interleaved samples.
+         */
+
+        var fields = [];
+        var offset = 0;
+
+        // Header is four whitespace-separated fields, with optional '#' comments
+        while (fields.length < 4) {
+            while (offset < buffer.length && /\s/.test(String.fromCharCode(buffer[offset]))) {
+                offset++;
+            }
+            if (buffer[offset] == 0x23) {
+                while (offset < buffer.length && buffer[offset] != 0x0a) {
+                    offset++;
+                }
+                continue;
+            }
+            var start = offset;
+            while (offset < buffer.length && !/\s/.test(String.fromCharCode(buffer[offset]))) {
+                offset++;
+            }
+            if (start == offset) {
+                throw "Truncated PNM header";
+            }
+            fields.push(buffer.toString('ascii', start, offset));
+        }
+
+        // Exactly one whitespace character separates the header from the samples
+        offset++;
+
+        var magic = fields[0];
+        if (magic != 'P5' && magic != 'P6') {
+            throw "Unsupported PNM format " + magic;
+        }
+
+        var image = {
+            width: fields[1]|0,
+            height: fields[2]|0,
+            channels: magic == 'P6' ? 3 : 1,
+            maxval: fields[3]|0,
+        };
+
+        var count = image.width * image.height * image.channels;
+        var wide = image.maxval > 255;
+
+        if (buffer.length - offset < count * (wide ? 2 : 1)) {
+            throw "Truncated PNM data";
+        }
+
+        image.data = new Uint16Array(count);
+        for (var i = 0; i < count; i++) {
+            image.data[i] = wide ? buffer.readUInt16BE(offset + 2*i) : buffer[offset + i];
+        }
+
+        return image;
+    }
+
+    pnm.format = function (image) {
+        // Serialize an image in the same form pnm.parse() returns, as a Buffer
+
+        var magic = image.channels == 3 ? 'P6' : 'P5';
+        var header = new Buffer(magic + '\n' + image.width + ' ' + image.height + '\n' + image.maxval + '\n', 'ascii');
+        var wide = image.maxval > 255;
+        var count = image.width * image.height * image.channels;
+        var body = new Buffer(count * (wide ? 2 : 1));
+
+        for (var i = 0; i < count; i++) {
+            if (wide) {
+                body.writeUInt16BE(image.data[i], 2*i);
+            } else {
+                body[i] = image.data[i];
+            }
+        }
+
+        return Buffer.concat([header, body]);
+    }
+
+    pnm.toRGB8 = function (image) {
+        // Convert to 8-bit RGB, keeping the most significant bits, like a camera's JPEG preview
+
+        var pixels = image.width * image.height;
+        var c = image.channels;
+        var shift = 0;
+        while ((image.maxval >> shift) > 255) {
+            shift++;
+        }
+
+        var data = new Uint16Array(pixels * 3);
+        for (var i = 0; i < pixels; i++) {
+            for (var j = 0; j < 3; j++) {
+                data[3*i + j] = image.data[i*c + (c == 3 ? j : 0)] >> shift;
+            }
+        }
+
+        return { width: image.width, height: image.height, channels: 3, maxval: 255, data: data };
+    }
+
+    pnm.luminance = function (image) {
+        // Sum all channels of a parsed image into a single Float32Array plane
+
+        var pixels = image.width * image.height;
+        var result = new Float32Array(pixels);
+        var c = image.channels;
+
+        for (var i = 0; i < pixels; i++) {
+            var sum = 0;
+            for (var j = 0; j < c; j++) {
+                sum += image.data[i*c + j];
+            }
+            result[i] = sum;
+        }
+
+        return result;
+    }
+
+    module.exports = pnm;
+
+}());
@@ -0,0 +1,455 @@
+/*
+ * preview.js - Image-based rendering from per-LED lightmaps.
+ *
+ * Light adds up, so a photo of the installation showing any set of colors is
+ * approximately the dark frame plus every LED's lightmap, weighted by how hard
+ * that LED is being driven. Lightmaps are captured with all three color
+ * channels lit, so each camera color channel stands in for the matching LED
+ * channel. Good enough to preview patterns without lighting the installation.
+ *
+ * Lightmaps are downsampled and cropped to the area each one actually lights,
+ * so a few thousand of them fit in memory.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var fs = require('fs');
+    var path = require('path');
+    var async = require('async');
+    var develop = require('./develop.js');
+    var pnm = require('./pnm.js');
+    var fadecandy = require('./fadecandy.js');
+    var opcDriver = require('./opc-driver.js');
+
+    var preview = {};
+
+    // fcserver's default gamma, which ConfigFactory also uses
+    preview.DEFAULT_GAMMA = 2.5;
+
+    // Gamma for the 8-bit preview images we write
+    preview.OUTPUT_GAMMA = 2.2;
+
+    // photographer.js's default lightmap black level
+    preview.DEFAULT_BLACKLEVEL = 300;
+
+    function downsample(image, scale) {
+        // Box filter a parsed image by 2^scale, into a three channel Float32Array
+
+        var factor = 1 << scale;
+        var width = Math.floor(image.width / factor);
+        var height = Math.floor(image.height / factor);
+        var data = new Float32Array(width * height * 3);
+        var c = image.channels;
+        var norm = 1 / (factor * factor);
+
+        for (var y = 0; y < height * factor; y++) {
+            for (var x = 0; x < width * factor; x++) {
+                var src = (x + y * image.width) * c;
+                var dst = ((x / factor|0) + (y / factor|0) * width) * 3;
+                for (var j = 0; j < 3; j++) {
+                    data[dst + j] += image.data[src + (c == 3 ? j : 0)] * norm;
+                }
+            }
+        }
+
+        return { width: width, height: height, data: data };
+    }
+
+    function crop(image) {
+        // Crop to the bounding box of nonzero pixels, or null if there aren't any
+
+        var x0 = image.width, y0 = image.height, x1 = -1, y1 = -1;
+        for (var y = 0; y < image.height; y++) {
+            for (var x = 0; x < image.width; x++) {
+                var i = (x + y * image.width) * 3;
+                if (image.data[i] || image.data[i + 1] || image.data[i + 2]) {
+                    x0 = Math.min(x0, x);
+                    y0 = Math.min(y0, y);
+                    x1 = Math.max(x1, x);
+                    y1 = Math.max(y1, y);
+                }
+            }
+        }
+
+        if (x1 < 0) {
+            return null;
+        }
+
+        var width = x1 - x0 + 1;
+        var height = y1 - y0 + 1;
+        var data = new Float32Array(width * height * 3);
+        var peak = 0;
+        for (var y = 0; y < height; y++) {
+            for (var x = 0; x < width * 3; x++) {
+                var v = image.data[(x0 + (y0 + y) * image.width) * 3 + x];
+                data[x + y * width * 3] = v;
+                peak = Math.max(peak, v);
+            }
+        }
+
+        return { x: x0, y: y0, width: width, height: height, data: data, peak: peak };
+    }
+
+    function loadImage(filePath, options, callback) {
+        // Develop any photo or lightmap, and downsample it
+
+        var blacklevel = options.blacklevel != null ? options.blacklevel : preview.DEFAULT_BLACKLEVEL;
+        var read = develop.isRawFile(filePath)
+            ? async.apply(develop.linearImage, filePath, null, options.denoise || 0, blacklevel)
+            : async.apply(develop.readDeveloped, filePath);
+
+        read(function (err, data) {
+            if (err) return callback(err);
+            try {
+                var image = pnm.parse(data);
+            } catch (e) {
+                return callback(e);
+            }
+            callback(null, downsample(image, options.scale || 0));
+        });
+    }
+
+    preview.pixelMap = function (config, jPhotos, channel) {
+        /*
+         * Find the LED behind each OPC pixel, the same way mapper-2d.js assigns
+         * them: pixels on one plain OPC channel keep their own index, and the
+         * fcserver config says where Fadecandy pixels went on that channel
+         * [default: 0].
+         */
+
+        var results = fadecandy.devicePixelsFromConfig(config, channel|0);
+        var channels = Object.keys(jPhotos.channels || {});
+
+        if (channel == null && channels.length == 1) {
+            channel = channels[0];
+        }
+        if (channel != null && jPhotos.channels[channel]) {
+            for (var index in jPhotos.channels[channel].leds) {
+                results[index] = results[index] || opcDriver.ledInfo(channel|0, index|0);
+            }
+        }
+
+        return results;
+    }
+
+    preview.load = function (dataPath, options, callback) {
+        /*
+         * Load the lightmaps from a photographer.js data directory. Options:
+         *
+         *   scale          Log2 of how much to downsample lightmaps by
+         *   gamma          Gamma the LED server applies to pixel values
+         *   background     Start from the most recent dark frame [default: true]
+         *   denoise        dcraw denoise level for the dark frame
+         *   blacklevel     Black level for the dark frame, the same one the lightmaps
+         *                  were developed with [default: photographer.js's default]
+         *
+         * Only LEDs photographed on their own have a lightmap image. LEDs found
+         * by structured light or in parallel groups just have a position, so
+         * they're listed in the renderer's 'missing' and left dark.
+         *
+         * Calls back with a renderer.
+         */
+
+        var json = JSON.parse(fs.readFileSync(path.join(dataPath, 'photos.json')));
+        var renderer = {};
+        var files = [];
+
+        renderer.gamma = options.gamma || preview.DEFAULT_GAMMA;
+        renderer.driveLevel = json.calibration ? json.calibration.level : 255;
+        renderer.leds = {};
+        renderer.background = null;
+        renderer.missing = [];
+
+        function addLeds(jGroup, info) {
+            for (var index in jGroup.leds) {
+                var lightmap = jGroup.leds[index].lightmap;
+                if (lightmap && lightmap.file) {
+                    files.push({ info: info(index|0), lightmap: lightmap });
+                } else if (lightmap && lightmap.centroid) {
+                    renderer.missing.push(info(index|0).string);
+                }
+            }
+        }
+        for (var serial in json.devices) {
+            addLeds(json.devices[serial], fadecandy.ledInfo.bind(null, serial));
+        }
+        for (var channel in json.channels) {
+            addLeds(json.channels[channel], opcDriver.ledInfo.bind(null, channel|0));
+        }
+
+        if (renderer.missing.length) {
+            console.log(renderer.missing.length + " mapped LEDs have no lightmap image, so they stay dark. " +
+                "Re-run photographer.js with --mode single to capture them");
+        }
+        if (!files.length) {
+            return callback("No lightmap files in " + dataPath);
+        }
+
+        renderer.render = function (colorFn) {
+            /*
+             * Render a linear image, given a function that returns the [r, g, b]
+             * pixel values sent to each LED, or null if it's off.
+             */
+
+            var data = renderer.background ? new Float32Array(renderer.background)
+                : new Float32Array(renderer.width * renderer.height * 3);
+
+            for (var key in renderer.leds) {
+                var led = renderer.leds[key];
+                var rgb = colorFn(led.info);
+                if (!rgb) {
+                    continue;
+                }
+
+                // Linear drive strength, relative to how the lightmap was captured
+                var w = [0, 1, 2].map(function (j) {
+                    var v = Math.max(0, Math.min(255, rgb[j])) / 255;
+                    return 255 * Math.pow(v, renderer.gamma) / renderer.driveLevel;
+                });
+                if (!(w[0] || w[1] || w[2])) {
+                    continue;
+                }
+
+                for (var y = 0; y < led.height; y++) {
+                    var src = y * led.width * 3;
+                    var dst = (led.x + (led.y + y) * renderer.width) * 3;
+                    for (var x = 0; x < led.width * 3; x += 3) {
+                        data[dst + x] += led.data[src + x] * w[0];
+                        data[dst + x + 1] += led.data[src + x + 1] * w[1];
+                        data[dst + x + 2] += led.data[src + x + 2] * w[2];
+                    }
+                }
+            }
+
+            return { width: renderer.width, height: renderer.height, data: data };
+        }
+
+        renderer.renderOPC = function (pixels, pixelMap) {
+            // Render a frame of 8-bit RGB OPC pixel data, using a pixelMap() to find the LEDs
+
+            var colors = {};
+            for (var i = 0; i < pixelMap.length && i * 3 + 2 < pixels.length; i++) {
+                if (pixelMap[i]) {
+                    colors[pixelMap[i].string] = [ pixels[i*3], pixels[i*3 + 1], pixels[i*3 + 2] ];
+                }
+            }
+            return renderer.render(function (info) {
+                return colors[info.string];
+            });
+        }
+
+        renderer.toPNM = function (image, exposure) {
+            // Tone map a rendered image into 8-bit PPM data
+
+            exposure = exposure || renderer.exposure;
+            var out = new Uint16Array(image.data.length);
+            for (var i = 0; i < out.length; i++) {
+                var v = Math.max(0, Math.min(1, image.data[i] * exposure));
+                out[i] = Math.round(255 * Math.pow(v, 1 / preview.OUTPUT_GAMMA));
+            }
+            return pnm.format({
+                width: image.width,
+                height: image.height,
+                channels: 3,
+                maxval: 255,
+                data: out,
+            });
+        }
+
+        renderer.fromPNM = function (data, exposure) {
+            /*
+             * Inverse of toPNM(): a linear image from 8 or 16-bit PPM or PGM data,
+             * box filtered to our size. The image needs to line up with the camera.
+             */
+
+            exposure = exposure || renderer.exposure;
+            var image = pnm.parse(data);
+            var out = new Float32Array(renderer.width * renderer.height * 3);
+            var sx = image.width / renderer.width;
+            var sy = image.height / renderer.height;
+            var c = image.channels;
+
+            for (var y = 0; y < renderer.height; y++) {
+                var y0 = Math.floor(y * sy), y1 = Math.max(y0 + 1, Math.floor((y + 1) * sy));
+                for (var x = 0; x < renderer.width; x++) {
+                    var x0 = Math.floor(x * sx), x1 = Math.max(x0 + 1, Math.floor((x + 1) * sx));
+                    var dst = (x + y * renderer.width) * 3;
+                    var norm = 1 / ((x1 - x0) * (y1 - y0));
+
+                    for (var v = y0; v < y1; v++) {
+                        for (var u = x0; u < x1; u++) {
+                            var src = (u + v * image.width) * c;
+                            for (var j = 0; j < 3; j++) {
+                                var value = image.data[src + (c == 3 ? j : 0)] / image.maxval;
+                                out[dst + j] += Math.pow(value, preview.OUTPUT_GAMMA) * norm;
+                            }
+                        }
+                    }
+                    for (var j = 0; j < 3; j++) {
+                        out[dst + j] /= exposure;
+                    }
+                }
+            }
+
+            return { width: renderer.width, height: renderer.height, data: out };
+        }
+
+        renderer.solve = function (target, iterations) {
+            /*
+             * Inverse rendering: find the LED colors whose render() comes closest
+             * to a linear target image, in the least squares sense. Each color
+             * channel is a separate non-negative least squares problem, bounded
+             * by full brightness, which we solve by cyclic coordinate descent.
+             * Lightmaps are small, so each step only touches a few pixels.
+             *
+             * Light can't be taken away, so the background is subtracted from
+             * the target first. Returns { colors, error }, with [r, g, b] pixel
+             * values keyed by ledInfo string, and the RMS error per channel.
+             */
+
+            iterations = iterations || 50;
+            var keys = Object.keys(renderer.leds);
+            var size = renderer.width * renderer.height;
+            var colors = {};
+            var error = [];
+
+            // Drive strength of 1 means a pixel value of 255
+            var fullScale = 255 / renderer.driveLevel;
+
+            keys.forEach(function (key) {
+                colors[key] = [0, 0, 0];
+            });
+
+            for (var j = 0; j < 3; j++) {
+                var residual = new Float32Array(size);
+                for (var i = 0; i < size; i++) {
+                    residual[i] = target.data[i*3 + j] - (renderer.background ? renderer.background[i*3 + j] : 0);
+                }
+
+                var weights = new Float32Array(keys.length);
+                var norms = keys.map(function (key) {
+                    var led = renderer.leds[key];
+                    var sum = 0;
+                    for (var i = j; i < led.data.length; i += 3) {
+                        sum += led.data[i] * led.data[i];
+                    }
+                    return sum * fullScale * fullScale;
+                });
+
+                for (var iter = 0; iter < iterations; iter++) {
+                    var change = 0;
+
+                    for (var k = 0; k < keys.length; k++) {
+                        if (!norms[k]) {
+                            continue;
+                        }
+                        var led = renderer.leds[keys[k]];
+
+                        var dot = 0;
+                        for (var y = 0; y < led.height; y++) {
+                            var src = y * led.width * 3 + j;
+                            var dst = led.x + (led.y + y) * renderer.width;
+                            for (var x = 0; x < led.width; x++) {
+                                dot += led.data[src + x*3] * residual[dst + x];
+                            }
+                        }
+
+                        var w = Math.max(0, Math.min(1, weights[k] + dot * fullScale / norms[k]));
+                        var delta = (w - weights[k]) * fullScale;
+                        if (!delta) {
+                            continue;
+                        }
+                        weights[k] = w;
+                        change = Math.max(change, Math.abs(delta));
+
+                        for (var y = 0; y < led.height; y++) {
+                            var src = y * led.width * 3 + j;
+                            var dst = led.x + (led.y + y) * renderer.width;
+                            for (var x = 0; x < led.width; x++) {
+                                residual[dst + x] -= led.data[src + x*3] * delta;
+                            }
+                        }
+                    }
+
+                    if (change < 1e-4) {
+                        break;
+                    }
+                }
+
+                var sum = 0;
+                for (var i = 0; i < size; i++) {
+                    sum += residual[i] * residual[i];
+                }
+                error[j] = Math.sqrt(sum / size);
+
+                // Back to pixel values, undoing the LED server's gamma
+                for (var k = 0; k < keys.length; k++) {
+                    colors[keys[k]][j] = Math.round(255 * Math.pow(weights[k], 1 / renderer.gamma));
+                }
+            }
+
+            return { colors: colors, error: error };
+        }
+
+        var loaded = 0;
+        async.eachSeries(files, function (file, callback) {
+            loadImage(path.join(dataPath, file.lightmap.file), options, function (err, image) {
+                if (err) return callback(err);
+
+                renderer.width = image.width;
+                renderer.height = image.height;
+
+                // HDR lightmaps are scaled relative to the unbracketed exposure
+                var scale = file.lightmap.hdr ? 1 / file.lightmap.hdr.scale : 1;
+                for (var i = 0; i < image.data.length; i++) {
+                    image.data[i] *= scale;
+                }
+
+                var cropped = crop(image);
+                if (cropped) {
+                    cropped.info = file.info;
+                    renderer.leds[file.info.string] = cropped;
+                }
+
+                if (++loaded % 100 == 0) {
+                    console.log("Loaded " + loaded + " of " + files.length + " lightmaps");
+                }
+                callback();
+            });
+
+        }, function (err) {
+            if (err) return callback(err);
+
+            // By default, the brightest LED at full brightness just reaches white
+            var peak = 0;
+            for (var key in renderer.leds) {
+                peak = Math.max(peak, renderer.leds[key].peak);
+            }
+            renderer.exposure = peak ? renderer.driveLevel / (255 * peak) : 1;
+
+            var darkFrames = (json.darkFrames || []).filter(function (jDark) {
+                return jDark && jDark.rawFile;
+            });
+            if (options.background === false || !darkFrames.length) {
+                return callback(null, renderer);
+            }
+
+            var darkPath = path.join(dataPath, darkFrames[darkFrames.length - 1].rawFile);
+            loadImage(darkPath, options, function (err, image) {
+                if (err) return callback(err);
+                if (image.width != renderer.width || image.height != renderer.height) {
+                    console.log("Dark frame doesn't match the lightmap size, rendering without it");
+                } else {
+                    renderer.background = image.data;
+                }
+                callback(null, renderer);
+            });
+        });
+    }
+
+    module.exports = preview;
+
+}());
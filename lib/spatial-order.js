@@ -0,0 +1,118 @@
+/*
+ * spatial-order.js - Put LEDs in order by where they are, rather than how
+ *                    they're wired.
+ *
+ * Patterns written for a plain 1D strip look sensible on any installation if
+ * consecutive OPC pixels are neighbors in space. Each mode sorts a list of
+ * [x, y] points and returns their indices in the new order:
+ *
+ *   rows           Row by row, each row left to right. Points are grouped into
+ *                  rows by y, within half the typical LED spacing.
+ *   serpentine     Like rows, but every other row runs right to left.
+ *   angle          Counterclockwise (in y-up coordinates) around the origin,
+ *                  starting from the +x axis. Ties go nearest first.
+ *   distance       Nearest the origin first. Ties go by angle.
+ *
+ * Options:
+ *
+ *   origin         [x, y] for 'angle' and 'distance' [default: centroid of the points]
+ *   rowTolerance   How far apart in y two points can be and share a row
+ *                  [default: half the typical spacing]
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var geometry = require('./geometry.js');
+
+    var spatialOrder = {};
+
+    spatialOrder.MODES = [ 'rows', 'serpentine', 'angle', 'distance' ];
+
+    function centroid(points) {
+        var sum = [0, 0];
+        points.forEach(function (p) {
+            sum[0] += p[0];
+            sum[1] += p[1];
+        });
+        return [ sum[0] / points.length, sum[1] / points.length ];
+    }
+
+    function polar(points, origin) {
+        // Angle in [0, 2pi) and distance for each point
+
+        return points.map(function (p) {
+            var dx = p[0] - origin[0], dy = p[1] - origin[1];
+            var angle = Math.atan2(dy, dx);
+            return {
+                angle: angle < 0 ? angle + 2 * Math.PI : angle,
+                distance: Math.sqrt(dx*dx + dy*dy),
+            };
+        });
+    }
+
+    function rows(points, tolerance) {
+        // Group point indices into rows, top to bottom by increasing y, each sorted by x
+
+        var byY = points.map(function (p, i) { return i; });
+        byY.sort(function (a, b) { return points[a][1] - points[b][1]; });
+
+        var result = [];
+        var row = null, rowY = 0;
+        byY.forEach(function (i) {
+            if (!row || points[i][1] - rowY > tolerance) {
+                row = [];
+                result.push(row);
+            }
+            row.push(i);
+
+            // Compare against the row's mean, so a slight tilt doesn't split it
+            rowY = 0;
+            row.forEach(function (j) { rowY += points[j][1]; });
+            rowY /= row.length;
+        });
+
+        result.forEach(function (row) {
+            row.sort(function (a, b) { return points[a][0] - points[b][0]; });
+        });
+        return result;
+    }
+
+    spatialOrder.sort = function (points, mode, options) {
+        options = options || {};
+        if (!points.length) {
+            return [];
+        }
+
+        if (mode == 'rows' || mode == 'serpentine') {
+            var tolerance = options.rowTolerance != undefined ? options.rowTolerance
+                : geometry.typicalSpacing(points) / 2;
+            var order = [];
+            rows(points, tolerance).forEach(function (row, n) {
+                if (mode == 'serpentine' && n % 2) {
+                    row.reverse();
+                }
+                order = order.concat(row);
+            });
+            return order;
+        }
+
+        if (mode == 'angle' || mode == 'distance') {
+            var p = polar(points, options.origin || centroid(points));
+            var first = mode == 'angle' ? 'angle' : 'distance';
+            var second = mode == 'angle' ? 'distance' : 'angle';
+            var order = points.map(function (point, i) { return i; });
+            order.sort(function (a, b) {
+                return (p[a][first] - p[b][first]) || (p[a][second] - p[b][second]) || (a - b);
+            });
+            return order;
+        }
+
+        throw "Unknown spatial order '" + mode + "', try one of: " + spatialOrder.MODES.join(', ');
+    }
+
+    module.exports = spatialOrder;
+
+}());
@@ -0,0 +1,176 @@
+/*
+ * strip-fit.js - Clean up the measured points along one LED strip.
+ *
+ * LEDs on a strip are close to their neighbors, so a point that's far from a
+ * smooth curve through the LEDs on either side is probably a reflection or
+ * other bad measurement. Those outliers are rejected, and positions for them
+ * and any LEDs that weren't seen at all are interpolated along the strip.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var stripFit = {};
+
+    stripFit.DEFAULT_WINDOW = 3;
+    stripFit.DEFAULT_THRESHOLD = 4;
+
+    function distance(a, b) {
+        var dx = a[0] - b[0], dy = a[1] - b[1];
+        return Math.sqrt(dx*dx + dy*dy);
+    }
+
+    function median(values) {
+        var sorted = values.slice().sort(function (a, b) { return a - b; });
+        return sorted.length ? sorted[sorted.length >> 1] : null;
+    }
+
+    function localFit(points, accepted, pos, window) {
+        /*
+         * Least squares line through the accepted points within 'window' strip
+         * positions of 'pos', not counting 'pos' itself, evaluated at 'pos'.
+         * Returns null if there are fewer than two such neighbors.
+         */
+
+        var n = 0, sp = 0, spp = 0, sx = 0, sy = 0, spx = 0, spy = 0;
+
+        for (var p = pos - window; p <= pos + window; p++) {
+            if (p == pos || !accepted[p]) {
+                continue;
+            }
+            n++;
+            sp += p;
+            spp += p * p;
+            sx += points[p][0];
+            sy += points[p][1];
+            spx += p * points[p][0];
+            spy += p * points[p][1];
+        }
+
+        if (n < 2) {
+            return null;
+        }
+
+        var d = n * spp - sp * sp;
+        var bx = (n * spx - sp * sx) / d;
+        var by = (n * spy - sp * sy) / d;
+        return [ (sx - bx * sp) / n + bx * pos, (sy - by * sp) / n + by * pos ];
+    }
+
+    function interpolate(points, accepted, pos, length, window) {
+        /*
+         * Position for 'pos' from the nearest accepted points on either side.
+         * Up to 'window' positions past the last accepted point, we extrapolate
+         * from the two nearest if they're on the same side.
+         */
+
+        var before = [], after = [];
+        for (var p = pos - 1; p >= 0 && before.length < 2; p--) {
+            if (accepted[p]) before.push(p);
+        }
+        for (var p = pos + 1; p < length && after.length < 2; p++) {
+            if (accepted[p]) after.push(p);
+        }
+
+        var a, b;
+        if (before.length && after.length) {
+            a = before[0];
+            b = after[0];
+        } else if (before.length == 2 && pos - before[0] <= window) {
+            a = before[1];
+            b = before[0];
+        } else if (after.length == 2 && after[0] - pos <= window) {
+            a = after[0];
+            b = after[1];
+        } else {
+            return null;
+        }
+
+        var t = (pos - a) / (b - a);
+        return [
+            points[a][0] + (points[b][0] - points[a][0]) * t,
+            points[a][1] + (points[b][1] - points[a][1]) * t,
+        ];
+    }
+
+    stripFit.fit = function (points, length, options) {
+        /*
+         * Fit one strip. 'points' is an array of [x, y] measurements indexed by
+         * strip position, with holes for LEDs we have no measurement for. Options:
+         *
+         *   window         How many strip positions on each side to fit a line through
+         *   threshold      Reject points further than this from the fit, in multiples
+         *                  of the strip's median LED spacing
+         *   interpolate    Fill in positions for missing and rejected LEDs [default: true]
+         *
+         * Returns an array with a { point, status, residual } object for each LED
+         * we have a position for. Status is 'measured', 'corrected' (an outlier we
+         * replaced with an interpolated point), or 'interpolated' (never measured).
+         * Outliers we couldn't or weren't asked to interpolate are 'rejected', with
+         * a null point. The residual is the distance from the local fit, or for
+         * corrected LEDs, from the interpolated point.
+         */
+
+        options = options || {};
+        var window = options.window || stripFit.DEFAULT_WINDOW;
+        var threshold = options.threshold || stripFit.DEFAULT_THRESHOLD;
+
+        var accepted = [];
+        for (var p = 0; p < length; p++) {
+            accepted[p] = !!points[p];
+        }
+
+        // Typical distance between adjacent LEDs, for scale
+        var steps = [];
+        for (var p = 1; p < length; p++) {
+            if (points[p] && points[p - 1]) {
+                steps.push(distance(points[p], points[p - 1]));
+            }
+        }
+        var spacing = median(steps);
+
+        // Reject the worst outlier until there are none left, so each one can't drag its neighbors' fits along
+        var residuals = [];
+        while (spacing) {
+            var worst = null;
+            for (var p = 0; p < length; p++) {
+                var fit = accepted[p] && localFit(points, accepted, p, window);
+                if (fit) {
+                    residuals[p] = distance(points[p], fit);
+                    if (residuals[p] > threshold * spacing && (worst == null || residuals[p] > residuals[worst])) {
+                        worst = p;
+                    }
+                }
+            }
+            if (worst == null) {
+                break;
+            }
+            accepted[worst] = false;
+        }
+
+        var results = [];
+        for (var p = 0; p < length; p++) {
+            if (accepted[p]) {
+                results[p] = { point: points[p], status: 'measured', residual: residuals[p] };
+                continue;
+            }
+            var point = options.interpolate === false ? null : interpolate(points, accepted, p, length, window);
+            if (!point && points[p]) {
+                results[p] = { point: null, status: 'rejected', residual: residuals[p] };
+            } else if (point) {
+                results[p] = {
+                    point: point,
+                    status: points[p] ? 'corrected' : 'interpolated',
+                    residual: points[p] ? distance(points[p], point) : undefined,
+                };
+            }
+        }
+
+        return results;
+    }
+
+    module.exports = stripFit;
+
+}());
@@ -0,0 +1,160 @@
+/*
+ * synthetic-scene.js - Render fake photos of an LED installation with a known
+ *                      layout, for end-to-end testing of the mapping pipeline.
+ *
+ * A scene is described by a JSON file:
+ *
+ *   {
+ *     "layout": "truth.json",            Ground truth layout, in image pixel units
+ *     "strips": { "SERIAL": [64, 30] },  Strip lengths for each Fadecandy device
+ *     "width": 1296, "height": 864,      Image size
+ *     "sigma": 3,                        Gaussian blob radius for each LED
+ *     "brightness": 20000,               Peak blob value at full LED brightness
+ *     "ambient": 1500,                   Constant background light
+ *     "noise": 40,                       Standard deviation of per-pixel noise
+ *     "reflections": [                   Optional mirror images of every LED
+ *       { "mirror": "y", "at": 800, "gain": 0.25, "blur": 4 }
+ *     ]
+ *   }
+ *
+ * Layout entries are assigned to LEDs in the same order mapper-2d.js would:
+ * devices sorted by serial, then strip by strip. A null layout entry is an
+ * LED that exists on the strip but never shows up in the photos.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license.
+ */
+
+(function () {
+
+    var fs = require('fs');
+    var path = require('path');
+    var fadecandy = require('./fadecandy.js');
+
+    var synthetic = {};
+
+    synthetic.DEFAULTS = {
+        width: 1296,
+        height: 864,
+        sigma: 3,
+        brightness: 20000,
+        ambient: 1500,
+        noise: 40,
+        saturation: 65535,
+        reflections: [],
+    };
+
+    synthetic.load = function (scenePath) {
+        // Synchronously load a scene description and its ground truth layout
+
+        var desc = JSON.parse(fs.readFileSync(scenePath));
+        var layoutPath = path.resolve(path.dirname(scenePath), desc.layout);
+        var layout = JSON.parse(fs.readFileSync(layoutPath));
+        return synthetic.createScene(desc, layout);
+    }
+
+    synthetic.createScene = function (desc, layout) {
+        var scene = {};
+
+        scene.options = {};
+        for (var key in synthetic.DEFAULTS) {
+            scene.options[key] = desc[key] == undefined ? synthetic.DEFAULTS[key] : desc[key];
+        }
+
+        scene.serials = Object.keys(desc.strips || {}).sort();
+        scene.leds = {};
+
+        // Walk the strips in OPC order, pairing each LED with its layout entry
+        var opcIndex = 0;
+        scene.serials.forEach(function (serial) {
+            desc.strips[serial].forEach(function (length, strip) {
+                for (var i = 0; i < length; i++) {
+                    var led = fadecandy.ledInfo(serial, strip * fadecandy.LEDS_PER_STRIP + i);
+                    var node = layout[opcIndex++];
+                    if (node && node.point) {
+                        led.point = node.point;
+                        scene.leds[led.string] = led;
+                    }
+                }
+            });
+        });
+
+        scene.truth = function (serial, index) {
+            // Ground truth LED info including 'point', or undefined if it's not in the scene
+            return scene.leds[fadecandy.ledInfo(serial, index).string];
+        }
+
+        scene.render = function (lit) {
+            /*
+             * Render a photo with the given LEDs lit. 'lit' is a list of
+             * {device, index, level} objects with levels from 0 to 1.
+             * Returns an RGB image in the form pnm.format() accepts.
+             */
+
+            var o = scene.options;
+            var plane = new Float32Array(o.width * o.height);
+
+            for (var i = 0; i < plane.length; i++) {
+                plane[i] = o.ambient + o.noise * gaussianNoise();
+            }
+
+            lit.forEach(function (l) {
+                var led = scene.truth(l.device, l.index);
+                if (!led || !(l.level > 0)) {
+                    return;
+                }
+
+                var x = led.point[0];
+                var y = led.point[1];
+                var amplitude = o.brightness * l.level;
+                splat(plane, o, x, y, o.sigma, amplitude);
+
+                o.reflections.forEach(function (r) {
+                    // Mirrored, blurred, and dimmer. Blurring spreads out the same energy.
+                    var sigma = Math.sqrt(o.sigma * o.sigma + (r.blur || 0) * (r.blur || 0));
+                    var scale = r.gain * (o.sigma * o.sigma) / (sigma * sigma);
+                    splat(plane, o,
+                        r.mirror == 'x' ? 2 * r.at - x : x,
+                        r.mirror == 'y' ? 2 * r.at - y : y,
+                        sigma, amplitude * scale);
+                });
+            });
+
+            var data = new Uint16Array(plane.length * 3);
+            for (var i = 0; i < plane.length; i++) {
+                var v = Math.max(0, Math.min(o.saturation, Math.round(plane[i])));
+                data[3*i] = data[3*i + 1] = data[3*i + 2] = v;
+            }
+
+            return { width: o.width, height: o.height, channels: 3, maxval: 65535, data: data };
+        }
+
+        return scene;
+    }
+
+    function splat(plane, o, cx, cy, sigma, amplitude) {
+        // Add a Gaussian blob, out to where it's negligible
+
+        var r = Math.ceil(sigma * 4);
+        var k = -0.5 / (sigma * sigma);
+        var x0 = Math.max(0, Math.floor(cx - r)), x1 = Math.min(o.width - 1, Math.ceil(cx + r));
+        var y0 = Math.max(0, Math.floor(cy - r)), y1 = Math.min(o.height - 1, Math.ceil(cy + r));
+
+        for (var y = y0; y <= y1; y++) {
+            for (var x = x0; x <= x1; x++) {
+                var dx = x - cx, dy = y - cy;
+                plane[x + y * o.width] += amplitude * Math.exp(k * (dx*dx + dy*dy));
+            }
+        }
+    }
+
+    function gaussianNoise() {
+        // Box-Muller transform, one sample at a time
+        var u = 1 - Math.random();
+        var v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    module.exports = synthetic;
+
+}());
@@ -7,11 +7,41 @@
  * combine data from multiple mapping sessions. Later mappings
  * will override earlier on a per-controller basis.
  *
+ * LEDs captured through a plain OPC server keep their own pixel index in the
+ * layout. Fadecandy LEDs are allocated OPC pixels after those, in the config.
+ *
+ * Each strip is checked for points that jump away from their neighbors, and
+ * positions are interpolated for those and for LEDs that weren't seen. Layout
+ * entries say whether they were "measured", "corrected" or "interpolated".
+ *
+ * If there's a lens calibration from 'lens-calibrate.js' stored with a session,
+ * or one given with --lens, every centroid is undistorted before scaling.
+ *
+ * When the camera isn't square to the LEDs, give four or more --reference LEDs
+ * with known positions on their physical plane. The layout is then rectified
+ * by a homography into those real-world units, instead of --center and --width.
+ *
+ * Fadecandy pixels get OPC indices in wiring order, device by device and strip
+ * by strip. With --order they're numbered by position instead, so patterns
+ * written for a simple 1D strip look sensible however the LEDs are wired.
+ *
+ * The fcserver config can be customized with a small JSON file given with
+ * --fcconfig, and --merge updates an existing config and layout in place,
+ * keeping devices this session didn't photograph.
+ *
+ * With --equalize, each layout entry also gets a brightness 'gain' from its
+ * LED's total captured light, which lib/opc.js applies in mapPixels().
+ *
  * Copyright (c) 2015 Micah Elizabeth Scott
  * Released under the MIT license, see the accompanying LICENSE file.
  */
 
 var fadecandy = require('./lib/fadecandy.js');
+var stripFit = require('./lib/strip-fit.js');
+var lens = require('./lib/lens.js');
+var geometry = require('./lib/geometry.js');
+var spatialOrder = require('./lib/spatial-order.js');
+var sprintf = require('sprintf-js').sprintf;
 var fs = require('fs');
 var path = require('path');
 
@@ -39,14 +69,114 @@ var opts = require("nomnom")
       abbr: 'w',
       help: 'Scale images to be this wide in layout units [default: unscaled pixels]'
    })
+   .option('reference', {
+      abbr: 'r',
+      list: true,
+      help: 'LED with a known position on the physical plane, as "SERIAL-000=x,y". Give at least four'
+   })
+   .option('references', {
+      help: 'JSON file of reference LED positions, like { "SERIAL-000": [x, y] }'
+   })
+   .option('channel', {
+      help: 'Which OPC channel to take pixels from, if the inputs have several'
+   })
    .option('plane', {
       abbr: 'p',
       default: 'xy',
       help: 'Which 2D plane should we extract into the SVG?'
    })
+   .option('threshold', {
+      default: stripFit.DEFAULT_THRESHOLD,
+      help: 'Reject points this far from a curve through their neighbors, in multiples of LED spacing'
+   })
+   .option('window', {
+      default: stripFit.DEFAULT_WINDOW,
+      help: 'How many LEDs on either side to fit that curve through'
+   })
+   .option('interpolate', {
+      flag: true,
+      default: true,
+      help: 'Interpolate positions for missing and rejected LEDs, use --no-interpolate to leave them out'
+   })
+   .option('equalize', {
+      abbr: 'e',
+      flag: true,
+      help: 'Add per-LED gains to the layout, to even out brightness'
+   })
+   .option('percentile', {
+      default: 10,
+      help: 'When equalizing, dim LEDs to match this percentile of brightness'
+   })
+   .option('brightoutlier', {
+      default: 3,
+      help: 'When equalizing, leave LEDs alone if they are this many times brighter or dimmer than the median'
+   })
+   .option('lens', {
+      help: 'Lens calibration from lens-calibrate.js [default: lens.json with each input, if any]'
+   })
+   .option('undistort', {
+      flag: true,
+      default: true,
+      help: 'Correct for lens distortion when there is a calibration, use --no-undistort to skip it'
+   })
+   .option('order', {
+      abbr: 'o',
+      default: 'wiring',
+      choices: [ 'wiring' ].concat(spatialOrder.MODES),
+      help: 'Order of OPC indices for Fadecandy pixels: wiring, or by position with rows, serpentine, angle or distance'
+   })
+   .option('origin', {
+      help: 'Center point for --order angle or distance, as "x,y" in layout units [default: centroid of the LEDs]'
+   })
+   .option('fcconfig', {
+      help: 'JSON file of fcserver settings: listen, verbose, color, channel, and per-device options'
+   })
+   .option('merge', {
+      abbr: 'm',
+      flag: true,
+      help: 'Merge into the existing --config and --layout, keeping devices that are not in the inputs'
+   })
+   .option('report', {
+      help: 'Optional JSON file for a per-LED report on rejected and interpolated points'
+   })
    .parse();
 
-var cf = new fadecandy.ConfigFactory();
+/*
+ * Settings for the fcserver config, from --fcconfig. All optional:
+ *
+ *   {
+ *     "listen": [ "0.0.0.0", 7890 ],
+ *     "verbose": false,
+ *     "color": { "gamma": 2.5, "whitepoint": [ 1, 1, 1 ] },
+ *     "channel": 0,                      OPC channel for Fadecandy pixels
+ *     "devices": {
+ *       "*": { ... },                    Defaults for every device in the inputs
+ *       "SERIAL": {
+ *         "led": false, "dither": true, "interpolate": true,
+ *         "color": { ... },              Color correction for just this device
+ *         "colorOrder": "grb",           Color channel order for the whole device,
+ *                                        instead of any from photographer.js --colororder
+ *         "strips": {
+ *           "3": { "colorOrder": "rgb", "reverse": true }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * A reversed strip gets OPC pixels in the opposite order from the device.
+ */
+var fcSettings = opts.fcconfig ? JSON.parse(fs.readFileSync(opts.fcconfig)) : {};
+var fcChannel = fcSettings.channel || 0;
+
+var baseConfig = opts.merge && fs.existsSync(opts.config) ? JSON.parse(fs.readFileSync(opts.config)) : null;
+var baseLayout = opts.merge && fs.existsSync(opts.layout) ? JSON.parse(fs.readFileSync(opts.layout)) : [];
+
+var cf = new fadecandy.ConfigFactory({
+    listen: fcSettings.listen,
+    verbose: fcSettings.verbose,
+    color: fcSettings.color,
+    base: baseConfig,
+});
 var layout = [];
 
 function mapToPlane(x, y) {
@@ -58,64 +188,461 @@ function mapToPlane(x, y) {
     return point;
 }
 
-// Combine inputs into one master device list
+function ledCentroid(name, led, calibration)
+{
+    /*
+     * Centroid for one LED's photo data in image pixels, along with the image
+     * size, or null if it wasn't seen. With a lens calibration, the centroid
+     * is where an ideal lens would have put it.
+     */
+
+    if (!led.lightmap) {
+        // Skipped this pixel entirely because it didn't show up on the thumbnail
+        return null;
+    }
+
+    if (!led.lightmap.moments) {
+        throw "Missing moments analysis for " + name;
+    }
+
+    var centroid = led.lightmap.centroid;
+
+    if (centroid.x == null || centroid.y == null) {
+        // Got as far as lightmap calculation when it turns out the image was all-zero.
+        // This happens if there's enough light to make it past the "noisethreshold" but
+        // not enough to make it above the "blacklevel" after processing.
+        return null;
+    }
+
+    // Total light, in units of a single unbracketed exposure
+    var energy = led.lightmap.moments.m00 / (led.lightmap.hdr ? led.lightmap.hdr.scale : 1);
+
+    var point = [centroid.x, centroid.y];
+    if (calibration) {
+        point = lens.undistort(calibration, point, led.lightmap.size);
+    }
+
+    return { point: point, size: led.lightmap.size, energy: energy };
+}
+
+function layoutPoint(point, size)
+{
+    // Convert a point from image pixels to layout coordinates
+
+    if (homography) {
+        var p = geometry.applyHomography(homography, { x: point[0], y: point[1] });
+        return mapToPlane(p.x, p.y);
+    }
+
+    var x = point[0];
+    var y = point[1];
+
+    if (opts.center) {
+        x -= size.width / 2;
+        y -= size.height / 2;
+    }
+
+    if (opts.width != null) {
+        var s = opts.width / size.width;
+        x *= s;
+        y *= s;
+    }
+
+    return mapToPlane(x, y);
+}
+
+var report = { groups: {}, leds: {} };
+var homography = null;
+
+function loadReferences()
+{
+    // Reference LED positions as { name: [x, y] }, from --reference and --references
+
+    var references = opts.references ? JSON.parse(fs.readFileSync(opts.references)) : {};
+
+    (opts.reference || []).forEach(function (text) {
+        var m = /^([^=]+)=([^,]+),([^,]+)$/.exec(text);
+        var x = m && parseFloat(m[2]), y = m && parseFloat(m[3]);
+        if (!m || isNaN(x) || isNaN(y)) {
+            throw "Can't parse reference point: " + text;
+        }
+        references[m[1].trim()] = [x, y];
+    });
+
+    return references;
+}
+
+function planeHomography(references, groups)
+{
+    /*
+     * Homography from image pixels to layout coordinates on the physical plane,
+     * from the measured centroids of the reference LEDs. Prints how far each
+     * reference lands from its given position, so bad ones stand out.
+     */
+
+    var names = [], from = [], to = [];
+
+    for (var name in groups) {
+        var jGroup = groups[name];
+        for (var index in jGroup.leds) {
+            var id = fadecandy.ledInfo(name, index|0).string;
+            var c = references[id] && ledCentroid(id, jGroup.leds[index], jGroup._lens);
+            if (c) {
+                names.push(id);
+                from.push({ x: c.point[0], y: c.point[1] });
+                to.push({ x: references[id][0], y: references[id][1] });
+            }
+        }
+    }
+
+    var missing = Object.keys(references).filter(function (id) {
+        return names.indexOf(id) < 0;
+    });
+    if (missing.length) {
+        console.log("Reference LEDs that weren't seen: " + missing.join(' '));
+    }
+    if (names.length < 4) {
+        throw "Need at least 4 reference LEDs that were seen, only have " + names.length;
+    }
+
+    var h = geometry.homography(from, to);
+
+    var sum = 0;
+    report.references = {};
+    names.forEach(function (id, i) {
+        var p = geometry.applyHomography(h, from[i]);
+        var residual = Math.sqrt((p.x - to[i].x) * (p.x - to[i].x) + (p.y - to[i].y) * (p.y - to[i].y));
+        sum += residual * residual;
+        report.references[id] = { position: [to[i].x, to[i].y], mapped: [p.x, p.y], residual: residual };
+        console.log(sprintf("Reference %s at (%.3f, %.3f): mapped to (%.3f, %.3f), residual %.3f",
+            id, to[i].x, to[i].y, p.x, p.y, residual));
+    });
+
+    console.log(sprintf("Rectified with %d reference LEDs, RMS residual %.3f", names.length, Math.sqrt(sum / names.length)));
+    if (names.length == 4) {
+        console.log("With exactly four references the fit is exact, so residuals can't show a bad one; add more to check");
+    }
+
+    return h;
+}
+
+function mapGroup(name, jGroup)
+{
+    /*
+     * Fit every strip on one Fadecandy device or OPC channel, returning an array
+     * of { point, status } layout entries indexed by LED.
+     */
+
+    var strips = {};
+    var energies = [];
+    var size = null;
+    var counts = { measured: 0, corrected: 0, interpolated: 0, rejected: 0 };
+    var results = [];
+
+    for (var index in jGroup.leds) {
+        index = index|0;
+        var c = ledCentroid(name + "-" + index, jGroup.leds[index], jGroup._lens);
+        if (c) {
+            var strip = (index / fadecandy.LEDS_PER_STRIP)|0;
+            (strips[strip] = strips[strip] || [])[index % fadecandy.LEDS_PER_STRIP] = c.point;
+            energies[index] = c.energy;
+            size = size || c.size;
+        }
+    }
+
+    for (var strip in strips) {
+        var points = strips[strip];
+        var jStrip = (jGroup.strips || {})[strip] || {};
+        var length = Math.max(points.length, jStrip.length || 0);
+
+        var fit = stripFit.fit(points, length, {
+            window: opts.window,
+            threshold: opts.threshold,
+            interpolate: opts.interpolate,
+        });
+
+        fit.forEach(function (result, position) {
+            var index = strip * fadecandy.LEDS_PER_STRIP + position;
+            counts[result.status]++;
+            if (result.point) {
+                results[index] = { point: layoutPoint(result.point, size), status: result.status };
+            }
+            if (result.status == 'measured') {
+                // Only for equalize(), removed before the layout is saved
+                results[index].energy = energies[index];
+            }
+
+            if (result.status != 'measured') {
+                report.leds[fadecandy.ledInfo(name, index).string] = {
+                    status: result.status,
+                    residual: result.residual,
+                };
+            }
+        });
+    }
+
+    report.groups[name] = counts;
+    console.log(sprintf("%s from %s%s: %d measured, %d corrected, %d interpolated, %d rejected",
+        name, jGroup._filename, jGroup._lens ? " (undistorted)" : "", counts.measured, counts.corrected, counts.interpolated, counts.rejected));
+    return results;
+}
+
+function deviceSettings(serial)
+{
+    // Settings from --fcconfig for one device, on top of the defaults for all devices
+
+    var devices = fcSettings.devices || {};
+    var result = {};
+    [ devices['*'], devices[serial] ].forEach(function (settings) {
+        for (var key in settings) {
+            result[key] = settings[key];
+        }
+    });
+    result.strips = result.strips || {};
+    return result;
+}
+
+function allocationOrder(entries, settings)
+{
+    // Device pixel indices in the order they get OPC pixels: strip by strip, reversed strips backwards
+
+    var strips = {};
+    entries.forEach(function (entry, index) {
+        var strip = (index / fadecandy.LEDS_PER_STRIP)|0;
+        (strips[strip] = strips[strip] || []).push(index);
+    });
+
+    var order = [];
+    Object.keys(strips).sort(function (a, b) { return a - b; }).forEach(function (strip) {
+        var indices = strips[strip];
+        if (settings.strips[strip] && settings.strips[strip].reverse) {
+            indices.reverse();
+        }
+        order = order.concat(indices);
+    });
+    return order;
+}
+
+function spatialPixelOrder(pixels)
+{
+    // Re-sort Fadecandy pixels by their position on the layout plane, for --order
+
+    var axes = { x: 0, y: 1, z: 2 };
+    var points = pixels.map(function (pixel) {
+        return [ pixel.entry.point[axes[opts.plane[0]]], pixel.entry.point[axes[opts.plane[1]]] ];
+    });
+
+    var origin = null;
+    if (opts.origin) {
+        origin = opts.origin.split(',').map(parseFloat);
+        if (origin.length != 2 || isNaN(origin[0]) || isNaN(origin[1])) {
+            throw "Can't parse origin: " + opts.origin;
+        }
+    }
+
+    var order = spatialOrder.sort(points, opts.order, { origin: origin });
+    console.log("Assigned " + pixels.length + " Fadecandy pixels to OPC indices in " + opts.order + " order");
+    return order.map(function (i) { return pixels[i]; });
+}
+
+function equalize(layout)
+{
+    /*
+     * Give each layout entry a gain that evens out LED brightness. LEDs that
+     * are far brighter or dimmer than the median are probably occluded, or
+     * caught a reflection, so those and any LEDs we didn't measure are left at
+     * full brightness. Gains can't go above 1, so the rest are dimmed to match
+     * a low percentile of brightness.
+     *
+     * Gains are in linear light, the units of the lightmaps.
+     */
+
+    var energies = layout.filter(function (entry) {
+        return entry && entry.energy > 0;
+    }).map(function (entry) {
+        return entry.energy;
+    }).sort(function (a, b) { return a - b; });
+
+    if (!energies.length) {
+        console.log("No brightness measurements to equalize");
+        return;
+    }
+
+    var median = energies[energies.length >> 1];
+
+    function isInlier(e) {
+        return e > 0 && e * opts.brightoutlier >= median && e <= median * opts.brightoutlier;
+    }
+
+    var inliers = energies.filter(isInlier);
+    var reference = inliers[Math.min(inliers.length - 1, Math.floor(inliers.length * opts.percentile / 100))];
+    var outliers = [];
+    var minGain = 1;
+
+    layout.forEach(function (entry, index) {
+        if (!entry) {
+            return;
+        }
+        var e = entry.energy;
+        if (isInlier(e)) {
+            entry.gain = Math.round(Math.min(1, reference / e) * 10000) / 10000;
+            minGain = Math.min(minGain, entry.gain);
+        } else {
+            if (e != undefined) {
+                outliers.push(index);
+            }
+            entry.gain = 1;
+        }
+    });
+
+    report.equalization = { median: median, reference: reference, outliers: outliers };
+    console.log(sprintf("Equalized brightness, gains from %.3f to 1, %d outliers left at full brightness",
+        minGain, outliers.length));
+}
+
+// Combine inputs into one master device list, and one list of OPC channels
 var devices = {};
+var channels = {};
+var lensOverride = opts.lens ? lens.load(opts.lens) : null;
 for (var i = 0; i < opts.inputs.length; i++) {
     var jPhotos = JSON.parse(fs.readFileSync(opts.inputs[i]));
+    var calibration = !opts.undistort ? null : lensOverride || lens.forSession(opts.inputs[i]);
     for (var serial in jPhotos.devices) {
         var jDev = jPhotos.devices[serial];
         jDev._filename = opts.inputs[i];
+        jDev._lens = calibration;
         devices[serial] = jDev;
     }
+    for (var channel in jPhotos.channels) {
+        var jChannel = jPhotos.channels[channel];
+        jChannel._filename = opts.inputs[i];
+        jChannel._lens = calibration;
+        channels[channel] = jChannel;
+    }
 }
 
-for (var serial in devices) {
-    var jDev = devices[serial];
-    console.log("Device " + serial + " from " + jDev._filename);
+// A layout covers a single OPC channel
+var channelList = Object.keys(channels);
+if (opts.channel != null) {
+    channelList = channelList.filter(function (channel) { return channel == opts.channel; });
+} else if (channelList.length > 1) {
+    throw "Inputs have pixels on OPC channels " + channelList.join(', ') + ", pick one with --channel";
+}
 
-    for (var index in jDev.leds) {
-        index = index|0;
-        var led = jDev.leds[index];
+var references = loadReferences();
+if (Object.keys(references).length) {
+    if (opts.center || opts.width != null) {
+        throw "--center and --width don't apply when rectifying with reference points";
+    }
 
-        if (!led.lightmap) {
-            // Skipped this pixel entirely because it didn't show up on the thumbnail
-            continue;
-        }
+    var groups = {};
+    channelList.forEach(function (channel) {
+        groups["opc-" + channel] = channels[channel];
+    });
+    for (var serial in devices) {
+        groups[serial] = devices[serial];
+    }
+    homography = planeHomography(references, groups);
+}
 
-        if (!led.lightmap.moments) {
-            throw "Missing moments analysis for " + serial + "-" + index;
-        }
+channelList.forEach(function (channel) {
+    mapGroup("opc-" + channel, channels[channel]).forEach(function (entry, index) {
+        layout[index] = entry;
+    });
+});
 
-        var size = led.lightmap.size;
-        var centroid = led.lightmap.centroid;
-        var x = centroid.x;
-        var y = centroid.y;
+// Fadecandy pixels come after any plain OPC pixels
+cf.opcPixelCounts[fcChannel] = Math.max(cf.opcPixelCounts[fcChannel] || 0, layout.length);
+
+var pixels = [];
+for (var serial in devices) {
+    var settings = deviceSettings(serial);
+    var entries = mapGroup(serial, devices[serial]);
 
-        if (x == null || y == null) {
-            // Got as far as lightmap calculation when it turns out the image was all-zero.
-            // This happens if there's enough light to make it past the "noisethreshold" but
-            // not enough to make it above the "blacklevel" after processing.
-            continue;
+    // Color orders found by 'photographer.js --colororder', unless --fcconfig says otherwise
+    for (var strip in devices[serial].strips) {
+        if (devices[serial].strips[strip].colorOrder) {
+            cf.setStripColorOrder(serial, strip|0, devices[serial].strips[strip].colorOrder);
         }
+    }
 
-        // Allocate this LED in the OPC index space
-        var opcIndex = cf.mapPixel(serial, index);
+    cf.setDeviceOptions(serial, settings);
+    if (settings.color) {
+        cf.setDeviceColor(serial, settings.color);
+    }
 
-        if (opts.center) {
-            x -= size.width / 2;
-            y -= size.height / 2;
-        }
+    allocationOrder(entries, settings).forEach(function (index) {
+        var strip = settings.strips[(index / fadecandy.LEDS_PER_STRIP)|0] || {};
+        pixels.push({
+            serial: serial,
+            index: index,
+            entry: entries[index],
+            colorOrder: strip.colorOrder || settings.colorOrder,
+        });
+    });
+}
 
-        if (opts.width != null) {
-            var s = opts.width / size.width;
-            x *= s;
-            y *= s;
-        }
+if (opts.order != 'wiring') {
+    pixels = spatialPixelOrder(pixels);
+}
+
+if (baseConfig) {
+    // Devices keep their old OPC pixels when they still fit, so merging again doesn't renumber them
+    var pixelCounts = {};
+    pixels.forEach(function (pixel) {
+        pixelCounts[pixel.serial] = (pixelCounts[pixel.serial] || 0) + 1;
+    });
+    for (var serial in pixelCounts) {
+        cf.reusePixels(serial, pixelCounts[serial], fcChannel);
+    }
+}
 
-        layout[opcIndex] = {
-            point: mapToPlane(x, y)
-        };
+pixels.forEach(function (pixel) {
+    // Allocate this LED in the OPC index space
+    layout[cf.mapPixel(pixel.serial, pixel.index, {
+        channel: fcChannel,
+        colorOrder: pixel.colorOrder,
+    })] = pixel.entry;
+});
+
+if (opts.equalize) {
+    equalize(layout);
+}
+layout.forEach(function (entry) {
+    if (entry) {
+        delete entry.energy;
     }
+});
+
+if (baseConfig) {
+    // Keep the layout for devices that weren't in this session, at their old OPC pixels
+    var kept = fadecandy.devicePixelsFromConfig({
+        devices: cf.json.devices.filter(function (node) { return !cf.isRemapped(node.serial); })
+    }, fcChannel);
+    var keptCount = 0;
+
+    kept.forEach(function (info, index) {
+        if (!baseLayout[index]) {
+            return;
+        }
+        if (layout[index]) {
+            console.log("OPC pixel " + index + " is in the inputs and kept from " + opts.layout + ", using the inputs");
+            return;
+        }
+        layout[index] = baseLayout[index];
+        keptCount++;
+    });
+    console.log("Kept " + keptCount + " pixels from " + opts.layout + " for devices that aren't in the inputs");
+}
+
+var outliers = Object.keys(report.leds).filter(function (name) {
+    return report.leds[name].status == 'corrected' || report.leds[name].status == 'rejected';
+});
+if (outliers.length) {
+    console.log("Outliers: " + outliers.join(' '));
+}
+if (opts.report) {
+    fs.writeFileSync(opts.report, JSON.stringify(report, null, '\t') + '\n');
 }
 
 fs.writeFileSync(opts.config, JSON.stringify(cf.json, null, '\t') + '\n');
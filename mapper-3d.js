@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+/*
+ * Use photometric data gathered by 'photographer.js' from several camera
+ * positions to reconstruct a 3D LED layout, and generate an fcserver config.
+ *
+ * Each input is a separate photography session (photos.json) of the same LEDs
+ * from a different viewpoint. The relative camera poses are calibrated from
+ * the LEDs each pair of views has in common, then every LED seen from at least
+ * two views is triangulated. Reprojection error is reported per view and per LED.
+ *
+ * The layout is in the coordinate frame of the first camera of the best
+ * initial pair: X right, Y down, Z away from the camera. Units are that pair's
+ * camera baseline, unless a --reference distance between two LEDs is given.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license, see the accompanying LICENSE file.
+ */
+
+var fadecandy = require('./lib/fadecandy.js');
+var geometry = require('./lib/geometry.js');
+var fs = require('fs');
+var sprintf = require('sprintf-js').sprintf;
+
+var opts = require("nomnom")
+   .option('inputs', {
+      position: 0,
+      required: true,
+      list: true,
+      help: 'One input file (photos.json) per camera position, at least two'
+   })
+   .option('focal', {
+      abbr: 'f',
+      required: true,
+      help: 'Camera focal length, in lightmap pixels'
+   })
+   .option('layout', {
+      default: 'layout.json',
+      help: 'Path to JSON layout file we output'
+   })
+   .option('config', {
+      default: 'fcserver.json',
+      help: 'Path to JSON config file we output'
+   })
+   .option('center', {
+      abbr: 'c',
+      flag: true,
+      help: 'Place the origin at the centroid of all LEDs [default: first camera]'
+   })
+   .option('reference', {
+      abbr: 'r',
+      help: 'Scale so two LEDs are a known distance apart, as "SERIAL-000,SERIAL-063,1.5"'
+   })
+   .option('maxerror', {
+      default: 3,
+      help: 'Observations with more reprojection error than this, in pixels, are outliers'
+   })
+   .option('iterations', {
+      default: 10,
+      help: 'Rounds of pose and point refinement'
+   })
+   .option('worst', {
+      default: 10,
+      help: 'How many of the LEDs with the worst error to list'
+   })
+   .option('report', {
+      help: 'Optional JSON file for the full per-LED error report'
+   })
+   .parse();
+
+
+function loadView(filename)
+{
+    /*
+     * Load the LED centroids from one session, converted to normalized
+     * image coordinates with the principal point at the image center.
+     */
+
+    var jPhotos = JSON.parse(fs.readFileSync(filename));
+    var view = { filename: filename, obs: {}, leds: {}, colorOrders: [] };
+
+    for (var serial in jPhotos.devices) {
+        var jDev = jPhotos.devices[serial];
+        for (var strip in jDev.strips) {
+            if (jDev.strips[strip].colorOrder) {
+                view.colorOrders.push([ serial, strip|0, jDev.strips[strip].colorOrder ]);
+            }
+        }
+        for (var index in jDev.leds) {
+            var led = jDev.leds[index];
+            if (!led.lightmap || !led.lightmap.centroid || led.lightmap.centroid.x == null) {
+                continue;
+            }
+
+            var size = led.lightmap.size;
+            var info = fadecandy.ledInfo(serial, index|0);
+            view.leds[info.string] = info;
+            view.obs[info.string] = {
+                x: (led.lightmap.centroid.x - size.width / 2) / opts.focal,
+                y: (led.lightmap.centroid.y - size.height / 2) / opts.focal,
+            };
+        }
+    }
+
+    console.log("View " + filename + ": " + Object.keys(view.obs).length + " LEDs");
+    return view;
+}
+
+
+function sharedKeys(a, b)
+{
+    return Object.keys(a.obs).filter(function (key) {
+        return key in b.obs;
+    });
+}
+
+
+function pixelError(pose, point, obs)
+{
+    var p = geometry.project(pose, point);
+    if (!(p.depth > 0)) {
+        return Infinity;
+    }
+    var dx = p.x - obs.x, dy = p.y - obs.y;
+    return Math.sqrt(dx*dx + dy*dy) * opts.focal;
+}
+
+
+function initialPair(views)
+{
+    /*
+     * Find the pair of views with the most LEDs in common, and calibrate
+     * the second relative to the first from their essential matrix.
+     */
+
+    var best = null;
+    for (var a = 0; a < views.length; a++) {
+        for (var b = a + 1; b < views.length; b++) {
+            var keys = sharedKeys(views[a], views[b]);
+            if (!best || keys.length > best.keys.length) {
+                best = { a: a, b: b, keys: keys };
+            }
+        }
+    }
+
+    if (!best || best.keys.length < 8) {
+        throw "Need at least two views with 8 or more LEDs in common";
+    }
+
+    var obsA = best.keys.map(function (key) { return views[best.a].obs[key]; });
+    var obsB = best.keys.map(function (key) { return views[best.b].obs[key]; });
+    var reference = { R: geometry.identity(3), t: [0, 0, 0] };
+
+    // Of the four possible poses, the real one has the LEDs in front of both cameras
+    var candidates = geometry.posesFromEssential(geometry.essentialMatrix(obsA, obsB));
+    var bestPose = null, bestCount = -1;
+
+    candidates.forEach(function (pose) {
+        var count = 0;
+        for (var i = 0; i < best.keys.length; i++) {
+            var X = geometry.triangulate([reference, pose], [obsA[i], obsB[i]]);
+            if (X[2] > 0 && geometry.project(pose, X).depth > 0) {
+                count++;
+            }
+        }
+        if (count > bestCount) {
+            bestPose = pose;
+            bestCount = count;
+        }
+    });
+
+    console.log("Initial pair: " + views[best.a].filename + " and " + views[best.b].filename +
+        ", " + best.keys.length + " LEDs in common");
+
+    views[best.a].pose = reference;
+    views[best.b].pose = bestPose;
+    return best.a;
+}
+
+
+function triangulateAll(views, points)
+{
+    /*
+     * Triangulate every LED seen by at least two calibrated views. Points we
+     * already have are refined instead, leaving out outlier observations if
+     * enough others remain.
+     */
+
+    var keys = {};
+    views.forEach(function (view) {
+        if (view.pose) {
+            Object.keys(view.obs).forEach(function (key) { keys[key] = true; });
+        }
+    });
+
+    var result = {};
+    Object.keys(keys).forEach(function (key) {
+        var seen = views.filter(function (view) {
+            return view.pose && key in view.obs;
+        });
+        if (seen.length < 2) {
+            return;
+        }
+
+        var poses = seen.map(function (view) { return view.pose; });
+        var obs = seen.map(function (view) { return view.obs[key]; });
+
+        if (!points[key]) {
+            result[key] = geometry.triangulate(poses, obs);
+            return;
+        }
+
+        var inliers = seen.filter(function (view) {
+            return pixelError(view.pose, points[key], view.obs[key]) <= opts.maxerror;
+        });
+        if (inliers.length >= 2) {
+            poses = inliers.map(function (view) { return view.pose; });
+            obs = inliers.map(function (view) { return view.obs[key]; });
+        }
+
+        result[key] = geometry.refinePoint(poses, obs, points[key]);
+    });
+
+    return result;
+}
+
+
+function resectView(view, points)
+{
+    /*
+     * Estimate a view's pose from the LEDs it sees that already have 3D points.
+     * Calibrated views are refined using only their inlier LEDs, if there are enough.
+     */
+
+    var keys = Object.keys(view.obs).filter(function (key) {
+        return points[key];
+    });
+
+    if (view.pose) {
+        var inliers = keys.filter(function (key) {
+            return pixelError(view.pose, points[key], view.obs[key]) <= opts.maxerror;
+        });
+        if (inliers.length >= 6) {
+            keys = inliers;
+        }
+    } else {
+        if (keys.length < 6) {
+            return false;
+        }
+        view.pose = geometry.resection(
+            keys.map(function (key) { return points[key]; }),
+            keys.map(function (key) { return view.obs[key]; }));
+    }
+
+    view.pose = geometry.refinePose(view.pose,
+        keys.map(function (key) { return points[key]; }),
+        keys.map(function (key) { return view.obs[key]; }));
+    return true;
+}
+
+
+function reconstruct(views)
+{
+    var referenceIndex = initialPair(views);
+    var points = triangulateAll(views, {});
+
+    // Add the other views one at a time, best connected first
+    while (true) {
+        var next = null, nextCount = 0;
+        views.forEach(function (view) {
+            if (view.pose || view.unusable) {
+                return;
+            }
+            var count = Object.keys(view.obs).filter(function (key) { return points[key]; }).length;
+            if (count > nextCount) {
+                next = view;
+                nextCount = count;
+            }
+        });
+
+        if (!next) {
+            break;
+        }
+        if (!resectView(next, points)) {
+            console.log("Can't calibrate " + next.filename + ", it only sees " + nextCount + " known LEDs");
+            next.unusable = true;
+            continue;
+        }
+        points = triangulateAll(views, points);
+    }
+
+    // Alternate between refining poses and points, holding the reference camera fixed
+    for (var i = 0; i < opts.iterations; i++) {
+        views.forEach(function (view, index) {
+            if (view.pose && index != referenceIndex) {
+                resectView(view, points);
+            }
+        });
+        points = triangulateAll(views, points);
+    }
+
+    return points;
+}
+
+
+function rescale(views, points)
+{
+    // Apply the --reference distance, if we have one
+
+    if (!opts.reference) {
+        return;
+    }
+
+    var parts = String(opts.reference).split(',');
+    var a = points[parts[0]], b = points[parts[1]];
+    if (!a || !b) {
+        throw "Reference LEDs " + parts[0] + " and " + parts[1] + " must both be reconstructed";
+    }
+
+    var s = parseFloat(parts[2]) / geometry.norm([a[0] - b[0], a[1] - b[1], a[2] - b[2]]);
+    for (var key in points) {
+        points[key] = points[key].map(function (v) { return v * s; });
+    }
+    views.forEach(function (view) {
+        if (view.pose) {
+            view.pose.t = view.pose.t.map(function (v) { return v * s; });
+        }
+    });
+}
+
+
+function errorReport(views, points)
+{
+    // Reprojection error, RMS over all views that see each LED, and over each view's LEDs
+
+    var report = { views: [], leds: {} };
+
+    views.forEach(function (view) {
+        var sum2 = 0, count = 0;
+        if (view.pose) {
+            Object.keys(view.obs).forEach(function (key) {
+                if (!points[key]) {
+                    return;
+                }
+                var e = pixelError(view.pose, points[key], view.obs[key]);
+                var led = report.leds[key] = report.leds[key] || { point: points[key], views: 0, sum2: 0 };
+                led.views++;
+                led.sum2 += e * e;
+                sum2 += e * e;
+                count++;
+            });
+        }
+        report.views.push({
+            filename: view.filename,
+            calibrated: !!view.pose,
+            leds: count,
+            rmsError: count ? Math.sqrt(sum2 / count) : null,
+        });
+    });
+
+    for (var key in report.leds) {
+        var led = report.leds[key];
+        led.rmsError = Math.sqrt(led.sum2 / led.views);
+        delete led.sum2;
+    }
+
+    return report;
+}
+
+
+var views = opts.inputs.map(loadView);
+if (views.length < 2) {
+    throw "Need at least two views for 3D reconstruction";
+}
+
+var points = reconstruct(views);
+rescale(views, points);
+var report = errorReport(views, points);
+
+report.views.forEach(function (v) {
+    console.log(v.calibrated
+        ? sprintf("%s: %d LEDs, RMS reprojection error %.3f pixels", v.filename, v.leds, v.rmsError)
+        : v.filename + ": not calibrated");
+});
+
+var worst = Object.keys(report.leds).sort(function (a, b) {
+    return report.leds[b].rmsError - report.leds[a].rmsError;
+});
+console.log("Reconstructed " + worst.length + " LEDs; worst reprojection error:");
+worst.slice(0, opts.worst).forEach(function (key) {
+    var led = report.leds[key];
+    console.log(sprintf("  %s  %.3f pixels over %d views%s", key, led.rmsError, led.views,
+        led.rmsError > opts.maxerror ? "  (outlier)" : ""));
+});
+
+if (opts.report) {
+    fs.writeFileSync(opts.report, JSON.stringify(report, null, '\t') + '\n');
+}
+
+// Optional recentering
+var origin = [0, 0, 0];
+if (opts.center && worst.length) {
+    worst.forEach(function (key) {
+        for (var i = 0; i < 3; i++) {
+            origin[i] += points[key][i] / worst.length;
+        }
+    });
+}
+
+// Allocate OPC pixels in device and LED order, like mapper-2d
+var cf = new fadecandy.ConfigFactory();
+var layout = [];
+var leds = {};
+views.forEach(function (view) {
+    for (var key in view.leds) {
+        leds[key] = view.leds[key];
+    }
+    view.colorOrders.forEach(function (c) {
+        // Strip color orders from 'photographer.js --colororder'
+        cf.setStripColorOrder(c[0], c[1], c[2]);
+    });
+});
+
+Object.keys(leds).sort().forEach(function (key) {
+    if (!points[key]) {
+        return;
+    }
+    var led = leds[key];
+    var opcIndex = cf.mapPixel(led.device, led.index);
+    layout[opcIndex] = {
+        point: points[key].map(function (v, i) { return v - origin[i]; })
+    };
+});
+
+fs.writeFileSync(opts.config, JSON.stringify(cf.json, null, '\t') + '\n');
+fs.writeFileSync(opts.layout, JSON.stringify(layout, null, '\t') + '\n');
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/*
+ * Run a stand-in for fcserver, with fake Fadecandy devices.
+ *
+ * This speaks the same WebSocket API as fcserver, so photographer.js and
+ * other Fadecandy clients can be run without any hardware attached.
+ * Each pixel frame is logged, and can optionally be recorded to a JSON
+ * file when the server is interrupted.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license, see the accompanying LICENSE file.
+ */
+
+var mockFcserver = require('./lib/mock-fcserver.js');
+var fs = require('fs');
+
+var opts = require("nomnom")
+   .option('serials', {
+      position: 0,
+      list: true,
+      help: 'Serial numbers of fake Fadecandy devices [default: one device]'
+   })
+   .option('host', {
+      default: '127.0.0.1',
+      help: 'Address to listen on'
+   })
+   .option('port', {
+      default: mockFcserver.DEFAULT_PORT,
+      help: 'Port to listen on'
+   })
+   .option('record', {
+      abbr: 'r',
+      help: 'On exit, write every pixel frame received to this JSON file'
+   })
+   .option('quiet', {
+      abbr: 'q',
+      flag: true,
+      help: "Don't log each pixel frame"
+   })
+   .parse();
+
+
+mockFcserver.listen({
+    host: opts.host,
+    port: opts.port,
+    serials: opts.serials,
+    recordLimit: opts.record ? 0 : 1,
+
+}, function (err, server) {
+    if (err) {
+        console.log(err);
+        process.exit(1);
+    }
+
+    server.deviceList().forEach(function (dev) {
+        console.log("Mock Fadecandy device " + dev.serial);
+    });
+    console.log("Listening on " + server.url);
+
+    if (!opts.quiet) {
+        server.on('pixels', function (serial) {
+            var lit = server.litPixels(serial);
+            console.log(serial + ": " + (lit.length > 8
+                ? lit.length + " pixels lit"
+                : "lit [" + lit.join(', ') + "]"));
+        });
+    }
+
+    process.on('SIGINT', function () {
+        if (opts.record) {
+            fs.writeFileSync(opts.record, JSON.stringify(server.frames.map(function (frame) {
+                return {
+                    device: frame.device,
+                    timestamp: frame.timestamp,
+                    pixels: Array.prototype.slice.call(frame.pixels),
+                };
+            })) + '\n');
+            console.log("\nRecorded " + server.frames.length + " frames to " + opts.record);
+        }
+        process.exit(0);
+    });
+});
@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+/*
+ * Simulate an installation, to develop patterns without the LEDs or fcserver.
+ *
+ * Listens for Open Pixel Control clients like fcserver would, and draws each
+ * pixel as a soft dot at its position in a layout from 'mapper-2d.js'. The
+ * result can be saved as PNG snapshots, or watched live in a browser.
+ *
+ * Layouts can be tied to an OPC channel with a prefix like "2:layout.json".
+ * Those show pixels sent to their own channel and broadcasts to channel 0.
+ * A layout without a prefix shows pixels sent to any channel.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license, see the accompanying LICENSE file.
+ */
+
+var opcServer = require('./lib/opc-server.js');
+var preview = require('./lib/preview.js');
+var develop = require('./lib/develop.js');
+var pnm = require('./lib/pnm.js');
+var geometry = require('./lib/geometry.js');
+var WebSocketServer = require('ws').Server;
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+var sprintf = require('sprintf-js').sprintf;
+
+var opts = require("nomnom")
+   .option('layouts', {
+      position: 0,
+      list: true,
+      help: 'Layouts from mapper-2d.js, each optionally prefixed with "channel:" [default: layout.json]'
+   })
+   .option('host', {
+      default: '127.0.0.1',
+      help: 'Address to listen on, for OPC and the browser view'
+   })
+   .option('port', {
+      default: opcServer.DEFAULT_PORT,
+      help: 'OPC port to listen on'
+   })
+   .option('http', {
+      help: 'Serve a live view on this port'
+   })
+   .option('output', {
+      abbr: 'o',
+      help: 'Save PNG snapshots, with a printf-style snapshot number, like "sim-%04d.png"'
+   })
+   .option('interval', {
+      default: 1000,
+      help: 'Milliseconds between PNG snapshots, taken only when pixels have changed'
+   })
+   .option('fps', {
+      default: 30,
+      help: 'Maximum frame rate for the live view'
+   })
+   .option('plane', {
+      abbr: 'p',
+      default: 'xy',
+      help: 'Which 2D plane of the layout to draw'
+   })
+   .option('width', {
+      default: 800,
+      help: 'Width of the view in pixels'
+   })
+   .option('radius', {
+      help: 'Radius of each LED in pixels [default: half the typical LED spacing]'
+   })
+   .option('gamma', {
+      default: preview.DEFAULT_GAMMA,
+      help: 'Gamma the LED server would apply to pixel values'
+   })
+   .option('quiet', {
+      abbr: 'q',
+      flag: true,
+      help: "Don't log clients as they come and go"
+   })
+   .parse();
+
+
+var AXES = { x: 0, y: 1, z: 2 };
+var MARGIN = 0.05;
+
+if (!opts.output && opts.http == undefined) {
+    console.log("Nothing to do; give --output for PNG snapshots, or --http for a live view");
+    process.exit(1);
+}
+
+var leds = loadLeds(opts.layouts || ['layout.json']);
+var view = planView(leds);
+
+// Latest pixels on each channel, and the frame number they arrived in, so broadcasts can be ordered
+var received = { pixels: {}, frame: {}, latest: null };
+
+function loadLeds(specs)
+{
+    // One { channel, index, point } for every point in every layout. Channel is null for "any".
+
+    var results = [];
+    specs.forEach(function (spec) {
+        var m = /^(\d+):(.*)$/.exec(spec);
+        var channel = m ? parseInt(m[1], 10) : null;
+        var layout = JSON.parse(fs.readFileSync(m ? m[2] : spec));
+
+        layout.forEach(function (entry, index) {
+            if (entry && entry.point) {
+                results.push({
+                    channel: channel,
+                    index: index,
+                    point: [ entry.point[AXES[opts.plane[0]]], entry.point[AXES[opts.plane[1]]] ],
+                });
+            }
+        });
+    });
+
+    if (!results.length) {
+        console.log("No points in the layout");
+        process.exit(1);
+    }
+    return results;
+}
+
+function planView(leds)
+{
+    /*
+     * Fit the layout into an image 'width' pixels wide, with a small margin.
+     * Sets each LED's position in pixels, and returns the view size and LED radius.
+     */
+
+    var min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+    leds.forEach(function (led) {
+        for (var i = 0; i < 2; i++) {
+            min[i] = Math.min(min[i], led.point[i]);
+            max[i] = Math.max(max[i], led.point[i]);
+        }
+    });
+
+    var extent = Math.max(max[0] - min[0], max[1] - min[1]) || 1;
+    var scale = opts.width * (1 - 2 * MARGIN) / extent;
+    var margin = opts.width * MARGIN;
+
+    leds.forEach(function (led) {
+        led.x = margin + (led.point[0] - min[0]) * scale;
+        led.y = margin + (led.point[1] - min[1]) * scale;
+    });
+
+    var spacing = geometry.typicalSpacing(leds.map(function (led) { return [led.x, led.y]; }));
+
+    return {
+        width: opts.width,
+        height: Math.ceil((max[1] - min[1]) * scale + 2 * margin),
+        radius: opts.radius ? parseFloat(opts.radius) : Math.max(2, spacing / 2 || margin / 2),
+    };
+}
+
+function ledColors(received)
+{
+    /*
+     * Linear light from each LED, given the latest pixels received on each
+     * channel, as an array of [r, g, b] in the order of the 'leds' list.
+     */
+
+    return leds.map(function (led) {
+        var channel = received.latest;
+        if (led.channel != null) {
+            // Our own channel or a broadcast, whichever came last
+            channel = received.frame[led.channel] > (received.frame[0] || 0) ? led.channel : 0;
+        }
+        var pixels = received.pixels[channel];
+
+        var rgb = [0, 0, 0];
+        if (pixels && led.index * 3 + 2 < pixels.length) {
+            for (var i = 0; i < 3; i++) {
+                rgb[i] = Math.pow(pixels[led.index * 3 + i] / 255, opts.gamma);
+            }
+        }
+        return rgb;
+    });
+}
+
+function renderPNM(colors)
+{
+    // Draw every LED as a Gaussian dot, adding up light where they overlap
+
+    var data = new Float32Array(view.width * view.height * 3);
+    var sigma = view.radius / 2;
+    var reach = Math.ceil(view.radius * 1.5);
+
+    leds.forEach(function (led, n) {
+        var rgb = colors[n];
+        if (!(rgb[0] || rgb[1] || rgb[2])) {
+            return;
+        }
+
+        var cx = Math.round(led.x), cy = Math.round(led.y);
+        for (var y = Math.max(0, cy - reach); y <= Math.min(view.height - 1, cy + reach); y++) {
+            for (var x = Math.max(0, cx - reach); x <= Math.min(view.width - 1, cx + reach); x++) {
+                var dx = x - led.x, dy = y - led.y;
+                var w = Math.exp(-(dx*dx + dy*dy) / (2 * sigma * sigma));
+                var i = (x + y * view.width) * 3;
+                data[i] += rgb[0] * w;
+                data[i + 1] += rgb[1] * w;
+                data[i + 2] += rgb[2] * w;
+            }
+        }
+    });
+
+    var out = new Uint16Array(data.length);
+    for (var i = 0; i < data.length; i++) {
+        out[i] = Math.round(255 * Math.pow(Math.min(1, data[i]), 1 / preview.OUTPUT_GAMMA));
+    }
+    return pnm.format({ width: view.width, height: view.height, channels: 3, maxval: 255, data: out });
+}
+
+function displayColors(colors)
+{
+    // Flat array of 8-bit display colors, for the browser to draw
+    var result = [];
+    colors.forEach(function (rgb) {
+        for (var i = 0; i < 3; i++) {
+            result.push(Math.round(255 * Math.pow(Math.min(1, rgb[i]), 1 / preview.OUTPUT_GAMMA)));
+        }
+    });
+    return result;
+}
+
+function startSnapshots(server)
+{
+    // Save a PNG every 'interval' if anything has changed, without overlapping writes
+
+    var lastFrame = 0;
+    var number = 0;
+
+    setInterval(function () {
+        if (server.frameCount == lastFrame || server.writing) {
+            return;
+        }
+        lastFrame = server.frameCount;
+        server.writing = true;
+
+        var filename = sprintf(opts.output, number++);
+        develop.writePNG(filename, renderPNM(ledColors(received)), function (err) {
+            server.writing = false;
+            if (err) return console.log(err);
+            if (!opts.quiet) console.log("Saved " + filename);
+        });
+    }, opts.interval);
+}
+
+function startLiveView(server)
+{
+    // Serve a page that draws the layout, and push colors to it over a WebSocket
+
+    var page = fs.readFileSync(path.join(__dirname, 'lib', 'opc-simulator.html'));
+    var lastFrame = 0;
+
+    var web = http.createServer(function (req, res) {
+        if (req.url == '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(page);
+        } else if (req.url == '/layout.json') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                width: view.width,
+                height: view.height,
+                radius: view.radius,
+                points: leds.map(function (led) { return [ led.x, led.y ]; }),
+            }));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+
+    var wss = new WebSocketServer({ server: web });
+
+    setInterval(function () {
+        if (server.frameCount == lastFrame || !wss.clients.length) {
+            return;
+        }
+        lastFrame = server.frameCount;
+
+        var text = JSON.stringify(displayColors(ledColors(received)));
+        wss.clients.forEach(function (socket) {
+            socket.send(text);
+        });
+    }, 1000 / opts.fps);
+
+    web.listen(opts.http, opts.host, function () {
+        console.log("Live view at http://" + opts.host + ":" + web.address().port + "/");
+    });
+}
+
+opcServer.listen({ host: opts.host, port: opts.port }, function (err, server) {
+    if (err) {
+        console.log(err);
+        process.exit(1);
+    }
+
+    console.log("Simulating " + leds.length + " LEDs, listening for OPC on " +
+        server.address.address + ":" + server.address.port);
+
+    server.on('pixels', function (channel, pixels) {
+        received.pixels[channel] = pixels;
+        received.frame[channel] = server.frameCount;
+        received.latest = channel;
+    });
+
+    if (!opts.quiet) {
+        server.on('connect', function (socket) {
+            console.log("OPC client connected from " + socket.remoteAddress);
+        });
+        server.on('disconnect', function (socket) {
+            console.log("OPC client disconnected");
+        });
+    }
+
+    if (opts.output) {
+        startSnapshots(server);
+    }
+    if (opts.http != undefined) {
+        startLiveView(server);
+    }
+});
@@ -8,6 +8,21 @@
  *   - Generates tiny grayscale thumbnails
  *   - Writes results to "photos.json"
  *
+ * Instead of Fadecandy boards, LEDs can be driven by any Open Pixel Control
+ * server with --opc. Those LEDs are stored by OPC channel and pixel index.
+ *
+ * In the default "single" mode each LED gets its own photo. The "graycode"
+ * mode instead lights all LEDs at once in structured light patterns, and
+ * decodes per-LED centroids from a number of photos logarithmic in LED count.
+ * The "parallel" mode uses a prior layout to light LEDs that are far apart
+ * together, splitting each photo into a region per LED.
+ *
+ * With --colororder, a few LEDs on each Fadecandy strip are also photographed
+ * with only one of their three color channels lit at a time. The color the
+ * camera sees for each channel gives the strip's color order, like "grb", which
+ * is saved with the strip in photos.json for the mappers to put in the fcserver
+ * config. Plain OPC pixels aren't in that config, so they're skipped.
+ *
  * If you need to restart data gathering, this tool will avoid
  * retaking any photos that it's already taken, but existing
  * photos will be reprocessed.
@@ -17,7 +32,10 @@
  */
 
 var fadecandy = require('./lib/fadecandy.js');
-var GPhoto = require('gphoto2');
+var opcDriver = require('./lib/opc-driver.js');
+var camera = require('./lib/camera.js');
+var mockFcserver = require('./lib/mock-fcserver.js');
+var synthetic = require('./lib/synthetic-scene.js');
 var async = require('async');
 var fs = require('fs');
 var os = require('os');
@@ -27,6 +45,8 @@ var randy = require('randy');
 var workerFarm = require('worker-farm');
 var join = require('join').Join;
 var aWrite = require('atomic-write');
+var graycode = require('./lib/graycode.js');
+var geometry = require('./lib/geometry.js');
 
 var opts = require("nomnom")
    .option('data', {
@@ -39,6 +59,14 @@ var opts = require("nomnom")
       flag: true,
       help: "Don't connect to Fadecandy or the camera, just process existing photos"
    })
+   .option('blobthreshold', {
+      default: 0.05,
+      help: 'Lightmap pixels brighter than this fraction of the peak are grouped into blobs',
+   })
+   .option('ambiguous', {
+      default: 0.25,
+      help: 'Flag LEDs whose second brightest blob has this much of the first blob\'s energy',
+   })
    .option('concurrency', {
       abbr: 'c',
       default: os.cpus().length,
@@ -72,13 +100,93 @@ var opts = require("nomnom")
       default: 'ws://localhost:7890',
       help: 'Fadecandy server URL',
    })
+   .option('opc', {
+      help: 'Drive LEDs through an Open Pixel Control server at "host:port" instead of fcserver',
+   })
+   .option('pixels', {
+      default: '0-511',
+      help: 'OPC pixels to map, as "channel:first-last" ranges separated by commas',
+   })
    .option('striplimit', {
       default: 8,
       help: 'Optionally limit the number of strips used per controller'
    })
+   .option('mode', {
+      abbr: 'm',
+      default: 'single',
+      choices: ['single', 'graycode', 'parallel'],
+      help: 'Capture mode: one photo per LED, Gray code structured light, or groups of LEDs from a prior layout',
+   })
+   .option('prior', {
+      help: 'Prior layout.json for parallel mode, unscaled and from this same camera position',
+   })
+   .option('priorconfig', {
+      default: 'fcserver.json',
+      help: 'fcserver config that goes with the prior layout, for Fadecandy LEDs',
+   })
+   .option('priorchannel', {
+      default: 0,
+      help: 'OPC channel the prior config maps Fadecandy LEDs on',
+   })
+   .option('spacing', {
+      help: 'Minimum distance between LEDs lit together in parallel mode, in lightmap pixels [default: 8x the typical LED spacing]',
+   })
+   .option('maxspill', {
+      default: 0.01,
+      help: 'In parallel mode, LEDs with more than this fraction of their light at the edge of their region get their own photo',
+   })
+   .option('calibrate', {
+      flag: true,
+      help: 'Before capture, find an LED drive level that puts the brightest LED just below saturation',
+   })
+   .option('target', {
+      default: 230,
+      help: 'Calibration target for the brightest thumbnail pixel, out of 255',
+   })
+   .option('samples', {
+      default: 6,
+      help: 'How many LEDs to sample during calibration',
+   })
+   .option('shutterspeeds', {
+      help: 'Comma-separated gphoto2 shutterspeed values for calibration to try, shortest first',
+   })
+   .option('iso', {
+      help: 'gphoto2 ISO value to set during calibration',
+   })
+   .option('bracket', {
+      help: 'Comma-separated drive level multipliers for HDR bracketing, like "1,4,16"',
+   })
+   .option('colororder', {
+      flag: true,
+      help: 'Photograph the red, green and blue channels of a few LEDs per Fadecandy strip separately, to detect each strip\'s color order',
+   })
+   .option('colorsamples', {
+      default: 3,
+      help: 'How many LEDs per strip to sample for --colororder',
+   })
+   .option('camera', {
+      default: 'gphoto',
+      choices: Object.keys(camera.backends),
+      help: 'Camera backend: a real camera via gphoto2, replay recorded photos, or a synthetic scene',
+   })
+   .option('replay', {
+      help: 'Directory of photos for the replay camera, named like "raw-<led>.CR2"',
+   })
+   .option('scene', {
+      help: 'Scene description for the synthetic camera. Runs its own mock fcserver.',
+   })
    .parse();
 
 
+// How many blobs of light to record for each lightmap
+var MAX_BLOBS = 8;
+
+// Color order classification: the camera colors, and how much of each color's
+// light, on average, has to come from the channel we assign it to
+var COLOR_NAMES = 'rgb';
+var COLOR_ORDER_MIN_SHARE = 0.6;
+
+
 /*
  * Two worker pools for CPU-hungry image manipulation routines,
  * one for high-priority and one for low-priority.
@@ -98,6 +206,10 @@ var lowPriorityWorkers = workerFarm({
 }, require.resolve('./lib/image-worker.js'), [
     'extractDarkPGM',
     'calculateLightImage',
+    'calculateHDRLightImage',
+    'calculateColor',
+    'decodeStructuredLight',
+    'splitLightmap',
 ]);
 
 
@@ -126,46 +238,125 @@ function generateThumbnail(name, io, jNode, callback)
 }
 
 
-function photographCommon(name, io, jNode, prepFn, photoCallback, finalCallback)
+function photoExists(io, jNode, bracket)
+{
+    // Do we already have all the photos this node needs?
+
+    function exists(file) {
+        return file && fs.existsSync(path.join(io.dataPath, file));
+    }
+
+    if (!exists(jNode.rawFile)) {
+        return false;
+    }
+    if (!bracket) {
+        return true;
+    }
+    return jNode.bracket && jNode.bracket.length == bracket.length && jNode.bracket.every(function (shot) {
+        return exists(shot.rawFile);
+    });
+}
+
+
+function photographCommon(name, io, jNode, prepFn, photoCallback, finalCallback, bracket)
 {
     /*
      * Core photography method shared for LED photos and dark frames.
      * prepFn() is invoked only if the photo needs to be taken, prior to shooting.
      * photoCallback() is invoked as soon as the camera is free,
      * and finalCallback() when the photo and thumbnail are both available.
+     *
+     * If 'bracket' is a list of drive level multipliers, we run prepFn() and shoot
+     * once per multiplier. The first shot is the node's 'rawFile', and all shots are
+     * listed in its 'bracket' along with their drive level and relative exposure.
      */
 
-    if (jNode.rawFile && fs.existsSync(path.join(io.dataPath, jNode.rawFile))) {
+    if (photoExists(io, jNode, bracket)) {
         console.log("Skipping existing photo for " + name);
         photoCallback();
         finalCallback();
         return;
     }
 
-    prepFn(function (err) {
-        if (err) return photoCallback(err);
+    var baseLevel = io.fc.driveLevel;
+    var shots = [];
 
-        io.camera.takePicture({download: true}, function (err, image) {
-            if (err) return photoCallback(err);
+    async.eachSeries(bracket || [1], function (multiplier, callback) {
+        var shotName = shots.length ? name + '-b' + shots.length : name;
+        io.fc.driveLevel = Math.max(1, Math.min(255, Math.round(baseLevel * multiplier)));
 
-            // Timestamp as soon as the photo was taken
-            jNode.timestamp = new Date().toJSON();
+        prepFn(function (err) {
+            if (err) return callback(err);
 
-            // Delete data that's generated based on the raw photo
-            delete jNode.thumbFile;
-            delete jNode.lightmap;
+            io.camera.capture(shotName, function (err, image, extension) {
+                if (err) return callback(err);
+                shots.push({ name: shotName, image: image, extension: extension, level: io.fc.driveLevel });
+                callback();
+            });
+        });
 
-            // As soon as we've taken the picture, move on to the next step
-            // and process the photo a little in the background.
-            photoCallback();
+    }, function (err) {
+        io.fc.driveLevel = baseLevel;
+        if (err) return photoCallback(err);
 
-            // Asynchronously write RAW image to disk
-            var rawFile = 'raw-' + name + '.CR2';
-            aWrite.writeFile(path.join(io.dataPath, rawFile), image, function(err) {
-                if (err) return finalCallback(err);
-                jNode.rawFile = rawFile;
-                finalCallback();
+        // Timestamp as soon as the photo was taken
+        jNode.timestamp = new Date().toJSON();
+
+        // Delete data that's generated based on the raw photo
+        delete jNode.thumbFile;
+        delete jNode.lightmap;
+        delete jNode.bracket;
+        delete jNode.color;
+
+        // As soon as we've taken the picture, move on to the next step
+        // and process the photo a little in the background.
+        photoCallback();
+
+        // Asynchronously write RAW images to disk
+        async.map(shots, function (shot, callback) {
+            var rawFile = 'raw-' + shot.name + shot.extension;
+            aWrite.writeFile(path.join(io.dataPath, rawFile), shot.image, function (err) {
+                callback(err, {
+                    rawFile: rawFile,
+                    level: shot.level,
+                    exposure: shot.level / shots[0].level,
+                });
             });
+        }, function (err, results) {
+            if (err) return finalCallback(err);
+            jNode.rawFile = results[0].rawFile;
+            if (bracket) {
+                jNode.bracket = results;
+            }
+            finalCallback();
+        });
+    });
+}
+
+
+function bracketMultipliers()
+{
+    // Drive level multipliers for HDR bracketing, or null if we aren't bracketing
+    return opts.bracket ? String(opts.bracket).split(',').map(parseFloat) : null;
+}
+
+
+function lightWhenReady(io, serials, lightFn, callback)
+{
+    /*
+     * Wait for the LED server and the listed devices, then set up the lights
+     * with lightFn(callback). If a device is unplugged or fcserver goes away
+     * partway through, wait for it to come back and try again, so a long capture
+     * session pauses instead of photographing the wrong lights.
+     */
+
+    io.fc.waitForDevices(serials, function () {
+        lightFn(function (err) {
+            if (!(io.fc.open && serials.every(io.fc.isConnected))) {
+                console.log("Lost LED devices while setting lights, will retry");
+                return lightWhenReady(io, serials, lightFn, callback);
+            }
+            callback(err);
         });
     });
 }
@@ -186,11 +377,12 @@ function photographLed(led, io, json, jLed, photoCallback, finalCallback)
             // Dark frame, taken in the recent past
             jLed.darkFrame = darkFrame;
 
-            console.log('Photographing ' + led.string);
-            io.fc.singleLight({serial: led.device}, led.index, callback);
+            console.log('Photographing ' + led.string + ' at drive level ' + io.fc.driveLevel);
+            lightWhenReady(io, [led.device],
+                async.apply(io.fc.singleLight, {serial: led.device}, led.index), callback);
         });
 
-    }, photoCallback, finalCallback);
+    }, photoCallback, finalCallback, bracketMultipliers());
 }
 
 
@@ -214,7 +406,7 @@ function photographDarkness(io, json, index, callback)
     photographCommon(darkFrameName(index), io, jFrame, function (callback) {
 
         console.log('Photographing dark frame ' + index);
-        io.fc.lightsOff(callback);
+        lightWhenReady(io, [], io.fc.lightsOff, callback);
 
     }, function (err) {
         // Photo done only; wait for the full completion on dark frames
@@ -357,41 +549,69 @@ function generateLightmap(name, io, json, jLed, taskMemo, callback)
         if (err) return callback(err);
 
         var lightFile = 'light-' + name + '.png';
+        var darkPath = path.join(io.dataPath, json.darkFrames[jLed.darkFrame].pgmFile);
 
-        lowPriorityWorkers.calculateLightImage(
-            path.join(io.dataPath, jLed.rawFile),
-            path.join(io.dataPath, json.darkFrames[jLed.darkFrame].pgmFile),
-            path.join(io.dataPath, lightFile),
-            opts.denoise,
-            opts.blacklevel,
-            function(err) {
-                if (err) return callback(err);
+        function done(err, hdr) {
+            if (err) return callback(err);
 
-                // Success
-                console.log("Processed lightmap " + name);
-                jLed.lightmap = {file: lightFile};
-                callback();
+            // Success
+            console.log("Processed lightmap " + name);
+            jLed.lightmap = {file: lightFile};
+            if (hdr) {
+                jLed.lightmap.hdr = hdr;
             }
-        );
+            callback();
+        }
+
+        if (jLed.bracket && jLed.bracket.length > 1) {
+            // Merge all bracketed shots. They share a dark frame, since only the LED changed.
+            lowPriorityWorkers.calculateHDRLightImage(
+                jLed.bracket.map(function (shot) {
+                    return {
+                        rawPath: path.join(io.dataPath, shot.rawFile),
+                        darkPath: darkPath,
+                        exposure: shot.exposure,
+                    };
+                }),
+                path.join(io.dataPath, lightFile),
+                opts.denoise,
+                opts.blacklevel,
+                done
+            );
+        } else {
+            lowPriorityWorkers.calculateLightImage(
+                path.join(io.dataPath, jLed.rawFile),
+                darkPath,
+                path.join(io.dataPath, lightFile),
+                opts.denoise,
+                opts.blacklevel,
+                function (err) {
+                    done(err);
+                }
+            );
+        }
     });
 }
 
 
-function generateMoments(io, jLed, callback)
+function generateMoments(name, io, jLed, callback)
 {
     /*
-     * Calculate the moments for the lightmap image.
-     * This lets us find the centroid and overall brightness of the light.
+     * Find the blobs of light in the lightmap image. The brightest blob gives
+     * us the centroid and overall brightness of the light, and the others are
+     * saved so LEDs with strong reflections or stray light can be reviewed.
      * Also saves the lightmap size, since we're reading it in anyway.
      */
 
-    if (jLed.lightmap == undefined || jLed.lightmap.moments != undefined) {
-        // No lightmap (too dark), or moments already calculated
+    if (jLed.lightmap == undefined || jLed.lightmap.file == undefined || jLed.lightmap.blobs != undefined) {
+        // No lightmap (too dark), not from an image of its own, or already analyzed
         return callback();
     }
 
     highPriorityWorkers.calculateMoments(
         path.join(io.dataPath, jLed.lightmap.file),
+        opts.blobthreshold,
+        MAX_BLOBS,
         function (err, obj) {
             if (err) return callback(err);
             jLed.lightmap.moments = obj.moments;
@@ -400,6 +620,15 @@ function generateMoments(io, jLed, callback)
                 x: obj.moments.m10 / obj.moments.m00,
                 y: obj.moments.m01 / obj.moments.m00
             };
+            jLed.lightmap.blobs = obj.blobs;
+
+            // Flag LEDs where a second blob is almost as bright as the first
+            var second = obj.blobs[1];
+            jLed.lightmap.ambiguous = !!second && second.energy >= opts.ambiguous;
+            if (jLed.lightmap.ambiguous) {
+                console.log("Ambiguous lightmap " + name + ", second blob has " +
+                    Math.round(second.energy * 100) + "% of the primary's energy");
+            }
             callback();
         }
     );
@@ -454,6 +683,24 @@ function updateStripLength(stripIndex, jDev, callback)
 }
 
 
+function ledInfo(device, index)
+{
+    // LED info for a device name, which is either a Fadecandy serial or an OPC channel
+    var channel = opcDriver.channelForDevice(device);
+    return channel == null ? fadecandy.ledInfo(device, index) : opcDriver.ledInfo(channel, index);
+}
+
+
+function jsonLedGroup(json, led)
+{
+    // JSON node holding an LED's strips and photos: its Fadecandy device, or its OPC channel
+
+    var group = led.channel == undefined ? json.devices : json.channels;
+    var key = led.channel == undefined ? led.device : led.channel;
+    return (group[key] = group[key] || {strips: {}, leds: {}});
+}
+
+
 function handleOneLed(led, io, json, taskMemo, photoCallback, finalCallback)
 {
     /*
@@ -461,7 +708,7 @@ function handleOneLed(led, io, json, taskMemo, photoCallback, finalCallback)
      * Skips any steps that have already been completed and recorded.
      */
 
-    var jDev = (json.devices[led.device] = json.devices[led.device] || {strips: {}, leds: {}});
+    var jDev = jsonLedGroup(json, led);
     var jStrip = (jDev.strips[led.stripIndex] = jDev.strips[led.stripIndex] || {});
 
     // Skip LEDs that are beyond the detected strip length
@@ -482,31 +729,492 @@ function handleOneLed(led, io, json, taskMemo, photoCallback, finalCallback)
             async.apply(generatePeakDiff, io, json, jLed),
             async.apply(updateStripLength, led.stripIndex, jDev),
             async.apply(generateLightmap, led.string, io, json, jLed, taskMemo),
-            async.apply(generateMoments, io, jLed),
+            async.apply(generateMoments, led.string, io, jLed),
 
         ], finalCallback);
     });
 }
 
 
-function cameraSetup(callback)
+function structuredFrameList(jStruct)
+{
+    /*
+     * List every frame in a structured light capture, in the order they're shot.
+     * Each has a name, a JSON node, and an isLit(code) function.
+     */
+
+    var frames = [];
+    jStruct.frames = jStruct.frames || {};
+
+    function addFrame(name, isLit) {
+        var jFrame = (jStruct.frames[name] = jStruct.frames[name] || {});
+        frames.push({ name: name, jFrame: jFrame, isLit: isLit });
+    }
+
+    addFrame('on', function (code) {
+        return true;
+    });
+
+    for (var bit = 0; bit < graycode.bitCount(jStruct.leds.length); bit++) {
+        addFrame('bit-' + bit, (function (bit) {
+            return function (code) {
+                return graycode.isLit(code, bit);
+            };
+        })(bit));
+    }
+
+    addFrame('parity', graycode.parity);
+
+    return frames;
+}
+
+
+function photographPattern(frame, io, json, jStruct, photoCallback, finalCallback)
 {
-    var gphoto = new GPhoto.GPhoto2();
-    gphoto.list( function (cameras) {
-        var cam = cameras[0];
-        if (cam) {
-            console.log("Connected to " + cam.model)
-            console.log("Setting up camera...");
+    // Photograph a single structured light pattern, taking dark frames as necessary.
+    // This is a no-op if the photo already exists.
 
-            // Capture images to internal RAM
-            cam.setConfigValue("capturetarget", 0, function (err) {
-                console.log("Camera configured successfully");
-                callback(err, cam);
+    photographCommon('code-' + frame.name, io, frame.jFrame, function (callback) {
+
+        var darkFrame = currentDarkFrameIndex(json);
+
+        // Map from LED to code, for the devices we're lighting up
+        var codes = {};
+        var serials = [];
+        for (var i = 0; i < jStruct.leds.length; i++) {
+            codes[jStruct.leds[i].join('-')] = i + 1;
+            if (serials.indexOf(jStruct.leds[i][0]) < 0) {
+                serials.push(jStruct.leds[i][0]);
+            }
+        }
+
+        photographDarkness(io, json, darkFrame, function (err) {
+            if (err) return finalCallback(err);
+
+            // Dark frame, taken in the recent past
+            frame.jFrame.darkFrame = darkFrame;
+
+            // Any previous decoding is now out of date
+            delete jStruct.decoded;
+
+            console.log('Photographing pattern ' + frame.name);
+            lightWhenReady(io, serials, async.apply(io.fc.lightPattern, function (device, index) {
+                var code = codes[device.serial + '-' + index];
+                return code != undefined && frame.isLit(code);
+            }), callback);
+        });
+
+    }, photoCallback, finalCallback);
+}
+
+
+function captureStructuredLight(io, json, taskMemo, pending, saveFn, callback)
+{
+    /*
+     * Structured light capture. Every candidate LED is assigned a code, and we
+     * photograph all LEDs at once: fully on, once per Gray code bit, and once more
+     * for parity verification. The assignment is saved so captures can resume.
+     */
+
+    var jStruct = (json.structuredLight = json.structuredLight || {});
+
+    if (!jStruct.leds) {
+        if (!io.fc) {
+            return callback("No structured light capture to process");
+        }
+        jStruct.leds = collectLeds(io, json).map(function (led) {
+            return [led.device, led.index];
+        });
+    }
+
+    async.mapSeries(structuredFrameList(jStruct), function (frame, callback) {
+
+        if (!io.fc && !frame.jFrame.rawFile) {
+            return callback("Missing structured light frame " + frame.name);
+        }
+
+        function nextPhoto(err) {
+            if (err) return callback(err);
+            saveFn(callback);
+        }
+
+        async.waterfall([
+            async.apply(photographPattern, frame, io, json, jStruct, nextPhoto),
+            saveFn,
+        ], pending.add());
+
+    }, callback);
+}
+
+
+function decodeStructuredLight(io, json, taskMemo, callback)
+{
+    /*
+     * Once all structured light frames are on disk, decode them into a lightmap
+     * summary for each LED. This writes the same device/LED structure as the
+     * single-LED mode, so layouts can be generated the same way.
+     */
+
+    var jStruct = json.structuredLight;
+    var frames = structuredFrameList(jStruct);
+
+    for (var i = 0; i < frames.length; i++) {
+        if (!frames[i].jFrame.rawFile) {
+            return callback("Structured light capture is incomplete, missing " + frames[i].name);
+        }
+    }
+
+    if (jStruct.decoded) {
+        // Already decoded these exact frames
+        return callback();
+    }
+
+    async.waterfall([
+
+        // Dark frames as PGM, for dcraw
+        function (callback) {
+            async.eachSeries(frames, function (frame, callback) {
+                generateDarkPGM(io, json, taskMemo, frame.jFrame.darkFrame, callback);
+            }, function (err) {
+                callback(err);
             });
+        },
+
+        function (callback) {
+            function paths(frame) {
+                return {
+                    rawPath: path.join(io.dataPath, frame.jFrame.rawFile),
+                    darkPath: path.join(io.dataPath, json.darkFrames[frame.jFrame.darkFrame].pgmFile),
+                };
+            }
 
-        } else {
-            callback("No camera found: Make sure it's connected and awake");
+            console.log("Decoding structured light patterns");
+            lowPriorityWorkers.decodeStructuredLight({
+                on: paths(frames[0]),
+                bits: frames.slice(1, -1).map(paths),
+                parity: paths(frames[frames.length - 1]),
+            }, jStruct.leds.length, opts.denoise, opts.blacklevel, callback);
+        },
+
+        function (result, callback) {
+            var found = {};
+            for (var i = 0; i < result.leds.length; i++) {
+                found[result.leds[i].code] = result.leds[i];
+            }
+
+            for (var code = 1; code <= jStruct.leds.length; code++) {
+                var index = jStruct.leds[code - 1][1];
+                var jDev = jsonLedGroup(json, ledInfo(jStruct.leds[code - 1][0], index));
+                var led = found[code];
+
+                if (!led || !led.pixels) {
+                    // Never seen, or failed verification everywhere
+                    if (jDev.leds[index]) {
+                        delete jDev.leds[index].lightmap;
+                    }
+                    continue;
+                }
+
+                var jLed = (jDev.leds[index] = jDev.leds[index] || {});
+                jLed.lightmap = {
+                    size: result.size,
+                    moments: led.moments,
+                    centroid: {
+                        x: led.moments.m10 / led.moments.m00,
+                        y: led.moments.m01 / led.moments.m00
+                    },
+                    structuredLight: {
+                        code: code,
+                        pixels: led.pixels,
+                        rejected: led.rejected,
+                    },
+                };
+            }
+
+            jStruct.decoded = new Date().toJSON();
+            console.log("Decoded " + result.leds.length + " of " + jStruct.leds.length + " LEDs");
+            callback();
+        },
+
+    ], callback);
+}
+
+
+function priorLayoutPoints(io, leds)
+{
+    /*
+     * Look up the 2D points from our prior layout for a list of LEDs. Fadecandy
+     * LEDs are found by way of the prior fcserver config. OPC pixels not in that
+     * config keep their own index, as mapper-2d.js lays them out.
+     */
+
+    var layout = JSON.parse(fs.readFileSync(opts.prior));
+    var config = fs.existsSync(opts.priorconfig) ? JSON.parse(fs.readFileSync(opts.priorconfig)) : {};
+    var devicePixels = fadecandy.devicePixelsFromConfig(config, opts.priorchannel|0);
+    var channels = io.fc.ranges ? io.fc.devices.map(function (d) { return d.channel; }) : [];
+    var byName = {};
+
+    for (var i = 0; i < layout.length; i++) {
+        if (!layout[i] || !layout[i].point) {
+            continue;
+        }
+        var led = devicePixels[i] || (channels.length == 1 && opcDriver.ledInfo(channels[0], i));
+        if (led) {
+            byName[led.string] = layout[i].point.slice(0, 2);
+        }
+    }
+
+    return leds.map(function (led) {
+        return byName[led.string] || null;
+    });
+}
+
+
+function planParallelGroups(io, json, jPar)
+{
+    /*
+     * Sort the LEDs we have prior points for into groups, where every pair in
+     * a group is at least the minimum spacing apart. LEDs go in the first group
+     * with room, in our usual shuffled order.
+     */
+
+    var leds = collectLeds(io, json);
+    var points = priorLayoutPoints(io, leds);
+    var known = [];
+
+    leds.forEach(function (led, i) {
+        if (points[i]) {
+            known.push({ led: led, point: points[i] });
+        }
+    });
+
+    if (known.length < 2) {
+        throw "Prior layout has fewer than two of the LEDs we're capturing";
+    }
+
+    jPar.spacing = opts.spacing != null ? parseFloat(opts.spacing)
+        : 8 * geometry.typicalSpacing(known.map(function (k) { return k.point; }));
+    jPar.groups = [];
+
+    known.forEach(function (k) {
+        var group = null;
+        for (var i = 0; i < jPar.groups.length && !group; i++) {
+            var candidate = jPar.groups[i];
+            var far = candidate.points.every(function (p) {
+                var dx = p[0] - k.point[0], dy = p[1] - k.point[1];
+                return dx*dx + dy*dy >= jPar.spacing * jPar.spacing;
+            });
+            if (far) {
+                group = candidate;
+            }
+        }
+        if (!group) {
+            group = { leds: [], points: [] };
+            jPar.groups.push(group);
+        }
+        group.leds.push([k.led.device, k.led.index]);
+        group.points.push(k.point);
+    });
+
+    console.log("Planned " + jPar.groups.length + " groups for " + known.length +
+        " LEDs, at least " + jPar.spacing.toFixed(1) + " pixels apart");
+}
+
+
+function photographGroup(name, io, json, jGroup, photoCallback, finalCallback)
+{
+    // Photograph one group of LEDs lit together, unless we already have it
+
+    photographCommon(name, io, jGroup, function (callback) {
+
+        var darkFrame = currentDarkFrameIndex(json);
+        var lit = {};
+        var serials = [];
+        jGroup.leds.forEach(function (led) {
+            lit[led.join('-')] = true;
+            if (serials.indexOf(led[0]) < 0) {
+                serials.push(led[0]);
+            }
+        });
+
+        photographDarkness(io, json, darkFrame, function (err) {
+            if (err) return finalCallback(err);
+
+            // Dark frame, taken in the recent past
+            jGroup.darkFrame = darkFrame;
+
+            // Any previous split is now out of date
+            delete jGroup.split;
+
+            console.log('Photographing ' + name + ', ' + jGroup.leds.length + ' LEDs');
+            lightWhenReady(io, serials, async.apply(io.fc.lightPattern, function (device, index) {
+                return lit[device.serial + '-' + index] == true;
+            }), callback);
+        });
+
+    }, photoCallback, finalCallback);
+}
+
+
+function splitGroup(name, io, json, jPar, jGroup, taskMemo, callback)
+{
+    /*
+     * Split a group photo into a lightmap summary for each LED that stayed within
+     * its own region. The rest are listed in 'fallback' by their position in the
+     * group, and get photographed one at a time later.
+     */
+
+    if (jGroup.split) {
+        return callback();
+    }
+
+    generateDarkPGM(io, json, taskMemo, jGroup.darkFrame, function (err) {
+        if (err) return callback(err);
+
+        lowPriorityWorkers.splitLightmap({
+            rawPath: path.join(io.dataPath, jGroup.rawFile),
+            darkPath: path.join(io.dataPath, json.darkFrames[jGroup.darkFrame].pgmFile),
+        }, jGroup.points, jPar.spacing / 2, opts.denoise, opts.blacklevel, function (err, result) {
+            if (err) return callback(err);
+
+            var fallback = [];
+
+            result.leds.forEach(function (region, i) {
+                var led = ledInfo(jGroup.leds[i][0], jGroup.leds[i][1]);
+
+                if (!(region.moments.m00 > 0) || region.edge > opts.maxspill) {
+                    // Missing, or overlapping something else
+                    fallback.push(i);
+                    return;
+                }
+
+                var jDev = jsonLedGroup(json, led);
+                var jLed = (jDev.leds[led.index] = jDev.leds[led.index] || {});
+                jLed.lightmap = {
+                    size: result.size,
+                    moments: region.moments,
+                    centroid: {
+                        x: region.moments.m10 / region.moments.m00,
+                        y: region.moments.m01 / region.moments.m00
+                    },
+                    parallel: {
+                        group: name,
+                        edge: region.edge,
+                    },
+                };
+            });
+
+            jGroup.split = { fallback: fallback };
+            console.log("Split " + name + ", " + fallback.length + " of " + result.leds.length +
+                " LEDs need their own photo");
+            callback();
+        });
+    });
+}
+
+
+function captureParallel(io, json, taskMemo, pending, saveFn, callback)
+{
+    /*
+     * Parallel capture, for re-mapping with a prior layout. LEDs that are far
+     * apart are lit in groups and each group photo is split per LED. Then any LED
+     * that spilled out of its region, or that isn't in the prior layout, gets
+     * photographed on its own as usual. The groups are saved so captures can resume.
+     */
+
+    var jPar = (json.parallel = json.parallel || {});
+    var splits = join.create();
+
+    if (!jPar.groups) {
+        if (!io.fc) {
+            return callback("No parallel capture to process");
+        }
+        if (!opts.prior) {
+            return callback("Parallel mode needs a --prior layout");
+        }
+        try {
+            planParallelGroups(io, json, jPar);
+        } catch (e) {
+            return callback(e);
+        }
+    }
+
+    async.eachSeries(Object.keys(jPar.groups), function (i, callback) {
+        var jGroup = jPar.groups[i];
+        var name = 'group-' + i;
+
+        if (!io.fc && !jGroup.rawFile) {
+            return callback("Missing parallel capture frame " + name);
         }
+
+        function nextPhoto(err) {
+            if (err) return callback(err);
+            saveFn(callback);
+        }
+
+        async.waterfall([
+            async.apply(photographGroup, name, io, json, jGroup, nextPhoto),
+            async.apply(splitGroup, name, io, json, jPar, jGroup, taskMemo),
+            saveFn,
+        ], splits.add());
+
+    }, function (err) {
+        if (err) return callback(err);
+
+        // Every group has to be split before we know which LEDs still need a photo
+        splits.then(function () {
+            for (var i = 0; i < arguments.length; i++) {
+                if (arguments[i][0]) return callback(arguments[i][0]);
+            }
+
+            var grouped = {};
+            jPar.groups.forEach(function (jGroup) {
+                jGroup.leds.forEach(function (led, j) {
+                    if (jGroup.split.fallback.indexOf(j) < 0) {
+                        grouped[led.join('-')] = true;
+                    }
+                });
+            });
+
+            var remaining = collectLeds(io, json).filter(function (led) {
+                return !grouped[led.device + '-' + led.index];
+            });
+
+            console.log(remaining.length + " LEDs left to photograph individually");
+            captureLedList(remaining, io, json, taskMemo, pending, saveFn, callback);
+        });
+    });
+}
+
+
+function syntheticSetup(callback)
+{
+    /*
+     * The synthetic camera renders whatever our own in-process mock fcserver
+     * has lit, so both ends of the I/O are set up together.
+     */
+
+    try {
+        var scene = synthetic.load(opts.scene);
+    } catch (e) {
+        return callback("Can't load synthetic scene: " + e);
+    }
+
+    mockFcserver.listen({ port: 0, serials: scene.serials, recordLimit: 1 }, function (err, server) {
+        if (err) return callback(err);
+
+        async.parallel({
+            fc: async.apply(fadecandy.connect, server.url),
+            camera: async.apply(camera.open, {
+                backend: 'synthetic',
+                scene: scene,
+                fcserver: server,
+            }),
+        }, function (err, io) {
+            if (err) return callback(err);
+            io.mock = server;
+            callback(null, io);
+        });
     });
 }
 
@@ -515,10 +1223,33 @@ function ioSetup(callback)
 {
     var map = {};
 
-    if (!opts.processonly) {
+    if (opts.processonly) {
+        return callback(null, {});
+    }
+
+    if (opts.camera == 'synthetic') {
+        return syntheticSetup(callback);
+    }
+
+    if (opts.opc) {
+        try {
+            var ranges = opcDriver.parseRanges(opts.pixels);
+        } catch (e) {
+            return callback(e);
+        }
+        var address = String(opts.opc).split(':');
+        map.fc = async.apply(opcDriver.connect, {
+            host: address[0],
+            port: address[1] ? parseInt(address[1], 10) : opcDriver.DEFAULT_PORT,
+            ranges: ranges,
+        });
+    } else {
         map.fc = async.apply(fadecandy.connect, opts.fcserver);
-        map.camera = cameraSetup;
     }
+    map.camera = async.apply(camera.open, {
+        backend: opts.camera,
+        replay: opts.replay,
+    });
 
     async.parallel(map, callback);
 }
@@ -529,8 +1260,12 @@ function ioClose(io, callback)
     if (io.fc) {
         io.fc.lightsOff(function (err) {
             if (err) return callback(err);
-            io.fc.socket.close();
-            callback();
+            io.fc.close();
+            if (io.mock) {
+                io.mock.close(callback);
+            } else {
+                callback();
+            }
         });
     } else {
         callback();
@@ -552,7 +1287,8 @@ function collectLeds(io, json)
         // Shuffle the list of possible LEDs, so we visit them in an order that's been
         // decorrelated from their physical position.
 
-        var leds = fadecandy.ledsForDeviceList(io.fc.devices);
+        var leds = io.fc.ranges ? opcDriver.ledsForRanges(io.fc.ranges)
+                                : fadecandy.ledsForDeviceList(io.fc.devices);
         rng.shuffleInplace(leds);
 
     } else {
@@ -563,18 +1299,489 @@ function collectLeds(io, json)
         for (devSerial in (json.devices || {})) {
             leds = leds.concat(fadecandy.ledsForDevice(devSerial));
         }
+        for (var channel in (json.channels || {})) {
+            for (var index in json.channels[channel].leds) {
+                leds.push(opcDriver.ledInfo(channel|0, index|0));
+            }
+        }
     }
 
     leds.sort(function (a,b) { return a.stripPosition - b.stripPosition; });
 
+    // OPC pixel ranges are already explicit, the strip limit is for Fadecandy boards
     leds = leds.filter(function(led) {
-        return led.stripIndex < opts.striplimit;
+        return led.channel != undefined || led.stripIndex < opts.striplimit;
     });
 
     return leds;
 }
 
 
+function calibrationShot(io, name, prepFn, callback)
+{
+    // Take a throwaway photo for calibration, and generate its thumbnail.
+    // Calls back with the new JSON node.
+
+    var jNode = {};
+
+    photographCommon(name, io, jNode, prepFn, function (err) {
+        if (err) return callback(err);
+    }, function (err) {
+        if (err) return callback(err);
+        generateThumbnail(name, io, jNode, function (err) {
+            callback(err, jNode);
+        });
+    });
+}
+
+
+function measureBrightest(io, samples, callback)
+{
+    /*
+     * Photograph each sample LED with the current settings, and call back with the
+     * largest peakDiff among them. Takes its own dark frame, since the settings may
+     * have just changed.
+     */
+
+    var prepDark = async.apply(lightWhenReady, io, [], io.fc.lightsOff);
+
+    calibrationShot(io, 'calibrate-dark', prepDark, function (err, jDark) {
+        if (err) return callback(err);
+
+        async.mapSeries(samples, function (led, callback) {
+            var name = 'calibrate-' + led.string;
+            var prep = async.apply(lightWhenReady, io, [led.device],
+                async.apply(io.fc.singleLight, {serial: led.device}, led.index));
+
+            calibrationShot(io, name, prep, function (err, jLed) {
+                if (err) return callback(err);
+                highPriorityWorkers.calculatePeakDiff(
+                    path.join(io.dataPath, jDark.thumbFile),
+                    path.join(io.dataPath, jLed.thumbFile),
+                    callback);
+            });
+
+        }, function (err, peaks) {
+            if (err) return callback(err);
+            var peak = Math.max.apply(null, peaks);
+            console.log("Drive level " + io.fc.driveLevel + ", brightest sample " + peak);
+            callback(null, peak);
+        });
+    });
+}
+
+
+function applyCalibration(io, jCal, callback)
+{
+    // Set the LED drive level and any camera settings chosen by calibration
+
+    io.fc.driveLevel = jCal.level;
+
+    async.series([
+        function (callback) {
+            if (jCal.iso == undefined) return callback();
+            io.camera.setConfigValue('iso', jCal.iso, callback);
+        },
+        function (callback) {
+            if (jCal.shutterspeed == undefined) return callback();
+            io.camera.setConfigValue('shutterspeed', jCal.shutterspeed, callback);
+        },
+    ], function (err) {
+        callback(err);
+    });
+}
+
+
+function calibrate(io, json, callback)
+{
+    /*
+     * Exposure calibration. Samples a few LEDs, and picks the longest shutter
+     * speed (if we were given a list) and then the highest LED drive level
+     * that keeps the brightest sample at or below the target peak.
+     *
+     * Results are saved in the JSON, and reused as-is by resumed sessions.
+     */
+
+    if (json.calibration) {
+        console.log("Using saved calibration, drive level " + json.calibration.level);
+        return applyCalibration(io, json.calibration, callback);
+    }
+    if (!opts.calibrate) {
+        return callback();
+    }
+
+    // First LED on a random assortment of strips; those are the most likely to exist
+    var samples = collectLeds(io, json).slice(0, opts.samples);
+    var shutters = opts.shutterspeeds ? String(opts.shutterspeeds).split(',') : [ undefined ];
+    var jCal = { level: 255, iso: opts.iso, target: opts.target };
+    var peak = 0;
+
+    async.series([
+
+        // Lengthen the exposure until the brightest LED reaches the target at full drive
+        function (callback) {
+            var i = 0;
+            async.doWhilst(function (callback) {
+                jCal.shutterspeed = shutters[i++];
+                async.waterfall([
+                    async.apply(applyCalibration, io, jCal),
+                    async.apply(measureBrightest, io, samples),
+                ], function (err, result) {
+                    peak = result;
+                    callback(err);
+                });
+            }, function () {
+                return peak < opts.target && i < shutters.length;
+            }, callback);
+        },
+
+        // Binary search for the brightest drive level that stays at or below the target
+        function (callback) {
+            if (peak < opts.noisethreshold) {
+                return callback("No sample LEDs were visible during calibration");
+            }
+            if (peak <= opts.target) {
+                return callback();
+            }
+
+            var lo = 0, hi = 255;
+            var loPeak = 0;
+
+            async.whilst(function () {
+                return hi - lo > 1;
+            }, function (callback) {
+                io.fc.driveLevel = (lo + hi) >> 1;
+                measureBrightest(io, samples, function (err, result) {
+                    if (err) return callback(err);
+                    if (result > opts.target) {
+                        hi = io.fc.driveLevel;
+                    } else {
+                        lo = io.fc.driveLevel;
+                        loPeak = result;
+                    }
+                    callback();
+                });
+            }, function (err) {
+                if (err) return callback(err);
+                if (lo == 0) {
+                    return callback("Brightest LED saturates even at the lowest drive level; shorten the exposure");
+                }
+                jCal.level = lo;
+                peak = loPeak;
+                callback();
+            });
+        },
+
+    ], function (err) {
+        if (err) return callback(err);
+
+        jCal.peak = peak;
+        jCal.timestamp = new Date().toJSON();
+        json.calibration = jCal;
+        console.log("Calibrated to drive level " + jCal.level +
+            (jCal.shutterspeed ? ", shutter speed " + jCal.shutterspeed : ""));
+        applyCalibration(io, jCal, callback);
+    });
+}
+
+
+function captureLedList(leds, io, json, taskMemo, pending, saveFn, callback)
+{
+    async.mapSeries(leds, function (led, callback) {
+
+        /*
+         * Immediately after photography, move to the next LED- but make
+         * sure the processing callbacks finish eventually. Also checkpoint
+         * the JSON after each LED finishes its background processing as
+         * well as after each photo is taken.
+         */
+
+        function nextPhoto(err) {
+            if (err) return callback(err);
+            saveFn(callback);
+        }
+
+        async.waterfall([
+            async.apply(handleOneLed, led, io, json, taskMemo, nextPhoto),
+            saveFn,
+        ], pending.add());
+
+    }, callback);
+}
+
+
+function captureSingleLeds(io, json, taskMemo, pending, saveFn, callback)
+{
+    captureLedList(collectLeds(io, json), io, json, taskMemo, pending, saveFn, callback);
+}
+
+
+function colorSampleLeds(io, json)
+{
+    /*
+     * Up to --colorsamples LEDs per strip for color order detection, spread along
+     * the strip. LEDs we've already seen are preferred. On strips we don't know
+     * anything about yet, like after a structured light capture, the first few
+     * positions are the most likely to exist.
+     */
+
+    var strips = {};
+    collectLeds(io, json).forEach(function (led) {
+        var key = led.device + '/' + led.stripIndex;
+        (strips[key] = strips[key] || []).push(led);
+    });
+
+    var samples = [];
+    for (var key in strips) {
+        var leds = strips[key].sort(function (a, b) { return a.stripPosition - b.stripPosition; });
+        var jDev = jsonLedGroup(json, leds[0]);
+        var jStrip = jDev.strips[leds[0].stripIndex] || {};
+
+        if (jStrip.length != undefined) {
+            leds = leds.filter(function (led) { return led.stripPosition < jStrip.length; });
+        }
+        var seen = leds.filter(function (led) {
+            var jLed = jDev.leds[led.index];
+            return jLed && (jLed.peakDiff >= opts.noisethreshold || (jLed.lightmap && jLed.lightmap.centroid));
+        });
+
+        var pool = seen.length ? seen : leds.slice(0, opts.colorsamples);
+        var count = Math.min(opts.colorsamples, pool.length);
+        for (var i = 0; i < count; i++) {
+            samples.push(pool[Math.floor(i * pool.length / count)]);
+        }
+    }
+    return samples;
+}
+
+
+function photographColorChannel(led, channel, io, json, jShot, photoCallback, finalCallback)
+{
+    // Photograph one color channel of an LED, like photographLed()
+
+    var name = led.string + '-' + COLOR_NAMES[channel];
+
+    photographCommon(name, io, jShot, function (callback) {
+
+        var darkFrame = currentDarkFrameIndex(json);
+
+        photographDarkness(io, json, darkFrame, function (err) {
+            if (err) return callback(err);
+
+            jShot.darkFrame = darkFrame;
+
+            console.log('Photographing channel ' + channel + ' of ' + led.string + ' at drive level ' + io.fc.driveLevel);
+            lightWhenReady(io, [led.device],
+                async.apply(io.fc.singleChannel, {serial: led.device}, led.index, channel), callback);
+        });
+
+    }, photoCallback, finalCallback);
+}
+
+
+function generateColor(io, json, jShot, taskMemo, callback)
+{
+    // Measure the total light in each camera color for one color channel photo
+
+    if (jShot.color || jShot.peakDiff < opts.noisethreshold) {
+        // Already measured, or too dark to tell
+        return callback();
+    }
+
+    generateDarkPGM(io, json, taskMemo, jShot.darkFrame, function (err) {
+        if (err) return callback(err);
+
+        lowPriorityWorkers.calculateColor(
+            path.join(io.dataPath, jShot.rawFile),
+            path.join(io.dataPath, json.darkFrames[jShot.darkFrame].pgmFile),
+            opts.denoise,
+            opts.blacklevel,
+            function (err, color) {
+                if (err) return callback(err);
+                jShot.color = color;
+                callback();
+            }
+        );
+    });
+}
+
+
+function handleColorShot(led, channel, io, json, jShot, taskMemo, photoCallback, finalCallback)
+{
+    // Photograph and process one color channel of a sample LED
+
+    var name = led.string + '-' + COLOR_NAMES[channel];
+
+    photographColorChannel(led, channel, io, json, jShot, photoCallback, function (err) {
+        if (err) return finalCallback(err);
+        async.waterfall([
+
+            async.apply(generateThumbnail, name, io, jShot),
+            async.apply(generatePeakDiff, io, json, jShot),
+            async.apply(generateColor, io, json, jShot, taskMemo),
+
+        ], finalCallback);
+    });
+}
+
+
+function captureColorOrder(io, json, taskMemo, pending, saveFn, callback)
+{
+    /*
+     * With --colororder, shoot each sample LED once per color channel. The photos
+     * go in the LED's 'colorChannels' list, in raw output channel order.
+     */
+
+    if (!opts.colororder) {
+        return callback();
+    }
+    if (opts.opc) {
+        // Only fcserver configs have per-strip color orders
+        console.log("--colororder only works with Fadecandy devices, skipping it for OPC pixels");
+        return callback();
+    }
+
+    var shots = [];
+    colorSampleLeds(io, json).forEach(function (led) {
+        var jDev = jsonLedGroup(json, led);
+        var jLed = (jDev.leds[led.index] = jDev.leds[led.index] || {});
+        jLed.colorChannels = jLed.colorChannels || [ {}, {}, {} ];
+        for (var channel = 0; channel < 3; channel++) {
+            shots.push({ led: led, channel: channel, jShot: jLed.colorChannels[channel] });
+        }
+    });
+
+    async.mapSeries(shots, function (shot, callback) {
+
+        function nextPhoto(err) {
+            if (err) return callback(err);
+            saveFn(callback);
+        }
+
+        async.waterfall([
+            async.apply(handleColorShot, shot.led, shot.channel, io, json, shot.jShot, taskMemo, nextPhoto),
+            saveFn,
+        ], pending.add());
+
+    }, callback);
+}
+
+
+function classifyColorOrder(colorChannels)
+{
+    /*
+     * Given the measured [r, g, b] camera color for each raw output channel,
+     * find the color order: the letter for the color each channel drives, like
+     * "grb". Each camera color's light is split up by which channel it came
+     * from, and we pick the assignment of colors to channels that takes the
+     * largest share. Returns null if a channel wasn't measured, or if the
+     * colors are too mixed up to tell.
+     */
+
+    if (!colorChannels.every(function (shot) { return shot.color; })) {
+        return null;
+    }
+
+    var shares = [[], [], []];
+    for (var color = 0; color < 3; color++) {
+        var total = 0;
+        for (var channel = 0; channel < 3; channel++) {
+            total += colorChannels[channel].color[color];
+        }
+        if (!(total > 0)) {
+            return null;
+        }
+        for (var channel = 0; channel < 3; channel++) {
+            shares[channel][color] = colorChannels[channel].color[color] / total;
+        }
+    }
+
+    var best = null, bestScore = 0;
+    [ 'rgb', 'rbg', 'grb', 'gbr', 'brg', 'bgr' ].forEach(function (order) {
+        var score = 0;
+        for (var channel = 0; channel < 3; channel++) {
+            score += shares[channel][COLOR_NAMES.indexOf(order[channel])];
+        }
+        if (score > bestScore) {
+            best = order;
+            bestScore = score;
+        }
+    });
+
+    return bestScore / 3 >= COLOR_ORDER_MIN_SHARE ? best : null;
+}
+
+
+function detectColorOrders(json)
+{
+    /*
+     * Classify every sample LED's color order, and give each sampled Fadecandy
+     * strip the order most of its samples agree on, as its 'colorOrder'.
+     */
+
+    for (var key in json.devices) {
+        var jGroup = json.devices[key];
+        var votes = {};
+
+        for (var index in jGroup.leds) {
+            var jLed = jGroup.leds[index];
+            if (!jLed.colorChannels) {
+                continue;
+            }
+
+            var strip = ((index|0) / fadecandy.LEDS_PER_STRIP)|0;
+            var stripVotes = (votes[strip] = votes[strip] || {});
+            var order = jLed.colorOrder = classifyColorOrder(jLed.colorChannels);
+            if (order) {
+                stripVotes[order] = (stripVotes[order] || 0) + 1;
+            }
+        }
+
+        for (var strip in votes) {
+            var orders = Object.keys(votes[strip]).sort(function (a, b) {
+                return votes[strip][b] - votes[strip][a];
+            });
+            var jStrip = (jGroup.strips[strip] = jGroup.strips[strip] || {});
+
+            if (!orders.length) {
+                console.log("Couldn't tell the color order of " + key + " strip " + strip);
+                delete jStrip.colorOrder;
+                continue;
+            }
+            if (orders.length > 1) {
+                console.log("Samples on " + key + " strip " + strip + " disagree about its color order: " +
+                    orders.map(function (o) { return o + " (" + votes[strip][o] + ")"; }).join(', '));
+            }
+
+            jStrip.colorOrder = orders[0];
+            console.log("Color order of " + key + " strip " + strip + " is " + orders[0]);
+        }
+    }
+}
+
+
+function postProcess(io, json, taskMemo, callback)
+{
+    // Processing that can only happen once every photo is on disk
+
+    async.series([
+        function (callback) {
+            if (opts.mode == 'graycode') {
+                decodeStructuredLight(io, json, taskMemo, callback);
+            } else {
+                callback();
+            }
+        },
+        function (callback) {
+            detectColorOrders(json);
+            callback();
+        },
+    ], function (err) {
+        callback(err);
+    });
+}
+
+
 function photographer(dataPath, callback)
 {
     if (!fs.statSync(dataPath).isDirectory()) {
@@ -589,6 +1796,7 @@ function photographer(dataPath, callback)
     var json = JSON.parse(lastSavedJson);
     var lastJsonSaveCheckTimestamp = null;
     json.devices = json.devices || {};
+    json.channels = json.channels || {};
     json.darkFrames = json.darkFrames || [];
 
     var jsonSaveFn = function (callback) {
@@ -627,26 +1835,21 @@ function photographer(dataPath, callback)
         if (err) return callback(err);
         io.dataPath = dataPath;
 
-        async.mapSeries(collectLeds(io, json), function (led, callback) {
-
-            /*
-             * Immediately after photography, move to the next LED- but make
-             * sure the processing callbacks finish eventually. Also checkpoint
-             * the JSON after each LED finishes its background processing as
-             * well as after each photo is taken.
-             */
-
-            function nextPhoto(err) {
-                if (err) return callback(err);
-                jsonPeriodicSaveFn(callback);
-            }
-
-            async.waterfall([
-                async.apply(handleOneLed, led, io, json, taskMemo, nextPhoto),
-                jsonPeriodicSaveFn,
-            ], pending.add());
-
-        }, function (err) {
+        var capture = {
+            single: captureSingleLeds,
+            graycode: captureStructuredLight,
+            parallel: captureParallel,
+        }[opts.mode];
+
+        async.series([
+            function (callback) {
+                if (!io.fc) return callback();
+                calibrate(io, json, callback);
+            },
+            jsonSaveFn,
+            async.apply(capture, io, json, taskMemo, pending, jsonPeriodicSaveFn),
+            async.apply(captureColorOrder, io, json, taskMemo, pending, jsonPeriodicSaveFn),
+        ], function (err) {
             if (err) return callback(err);
 
             // Done with photography
@@ -657,9 +1860,12 @@ function photographer(dataPath, callback)
 
             console.log("Waiting for processing tasks to complete");
             pending.then(function () {
-                workerFarm.end(lowPriorityWorkers);
-                workerFarm.end(highPriorityWorkers);
-                jsonSaveFn(callback);
+                postProcess(io, json, taskMemo, function (err) {
+                    workerFarm.end(lowPriorityWorkers);
+                    workerFarm.end(highPriorityWorkers);
+                    if (err) return callback(err);
+                    jsonSaveFn(callback);
+                });
             });
         });
     });
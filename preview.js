@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/*
+ * Preview a pattern without lighting up the installation, by compositing
+ * the per-LED lightmaps gathered by 'photographer.js' into numbered PNGs.
+ *
+ * A pattern is a Node module exporting function (led, time), which returns
+ * the [r, g, b] color for one layout entry at a time in seconds, the same as
+ * a shader for lib/opc.js mapPixels(). Per-LED gains in the layout are
+ * applied just as mapPixels() would.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license, see the accompanying LICENSE file.
+ */
+
+var preview = require('./lib/preview.js');
+var develop = require('./lib/develop.js');
+var OPC = require('./lib/opc.js');
+var async = require('async');
+var fs = require('fs');
+var path = require('path');
+var sprintf = require('sprintf-js').sprintf;
+
+var opts = require("nomnom")
+   .option('data', {
+      position: 0,
+      required: true,
+      help: 'Data directory from photographer.js, with photos.json and lightmaps'
+   })
+   .option('pattern', {
+      required: true,
+      help: 'Pattern module, exporting function (led, time) that returns [r, g, b]'
+   })
+   .option('layout', {
+      default: 'layout.json',
+      help: 'Layout from mapper-2d.js'
+   })
+   .option('config', {
+      default: 'fcserver.json',
+      help: 'fcserver config from mapper-2d.js'
+   })
+   .option('channel', {
+      help: 'OPC channel the layout is for, if the data has several or the config maps Fadecandy pixels on another'
+   })
+   .option('output', {
+      abbr: 'o',
+      default: 'preview-%04d.png',
+      help: 'Output file name, with a printf-style frame number'
+   })
+   .option('frames', {
+      abbr: 'n',
+      default: 1,
+      help: 'Number of frames to render'
+   })
+   .option('fps', {
+      default: 30,
+      help: 'Frames per second of pattern time'
+   })
+   .option('scale', {
+      default: 1,
+      help: 'Log2 of how much to downsample lightmaps by'
+   })
+   .option('exposure', {
+      help: 'Brightness multiplier for the output [default: brightest LED just reaches white]'
+   })
+   .option('gamma', {
+      default: preview.DEFAULT_GAMMA,
+      help: 'Gamma the LED server applies to pixel values'
+   })
+   .option('background', {
+      flag: true,
+      default: true,
+      help: 'Render over the dark frame, use --no-background for black'
+   })
+   .option('blacklevel', {
+      default: preview.DEFAULT_BLACKLEVEL,
+      help: 'Black level for the dark frame, the same --blacklevel photographer.js used'
+   })
+   .parse();
+
+
+var pattern = require(path.resolve(opts.pattern));
+var layout = JSON.parse(fs.readFileSync(opts.layout));
+var config = fs.existsSync(opts.config) ? JSON.parse(fs.readFileSync(opts.config)) : {};
+var jPhotos = JSON.parse(fs.readFileSync(path.join(opts.data, 'photos.json')));
+var pixelMap = preview.pixelMap(config, jPhotos, opts.channel);
+
+// Only used to build pixel buffers, it never connects
+var client = new OPC();
+client.gamma = opts.gamma;
+
+preview.load(opts.data, {
+    scale: opts.scale,
+    gamma: opts.gamma,
+    background: opts.background,
+    blacklevel: opts.blacklevel,
+}, function (err, renderer) {
+    if (err) {
+        console.log(err);
+        process.exit(1);
+    }
+
+    var frames = [];
+    for (var i = 0; i < opts.frames; i++) {
+        frames.push(i);
+    }
+
+    async.eachSeries(frames, function (frame, callback) {
+        var time = frame / opts.fps;
+        client.setMappedPixels(function (led) {
+            return pattern(led, time);
+        }, layout);
+
+        var image = renderer.renderOPC(client.pixelBuffer.slice(4), pixelMap);
+        var filename = sprintf(opts.output, frame);
+        develop.writePNG(filename, renderer.toPNM(image, opts.exposure), function (err) {
+            if (err) return callback(err);
+            console.log("Rendered " + filename);
+            callback();
+        });
+
+    }, function (err) {
+        if (err) {
+            console.log(err);
+            process.exit(1);
+        }
+    });
+});
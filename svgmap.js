@@ -8,6 +8,16 @@
  * transformations like Illustrator's Envelope Distort don't affect the
  * representation.
  *
+ * LEDs are grouped into a layer per Fadecandy device or OPC channel, using
+ * the fcserver config. Optionally, strips are drawn as polylines in index
+ * order, LEDs are labeled with device/strip/position, and a photo from the
+ * session goes underneath on a locked layer. Those are all decorations, in
+ * layers the merge ignores.
+ *
+ * When merging, each LED's position is resolved through any transforms on
+ * the line and the groups it's in, so it doesn't matter whether an editor
+ * moved the line itself or wrapped it in a transformed group.
+ *
  * Copyright (c) 2015 Micah Elizabeth Scott
  * Released under the MIT license, see the accompanying LICENSE file.
  */
@@ -15,6 +25,8 @@
 var fs = require('fs');
 var path = require('path');
 var libxmljs = require('libxmljs');
+var layoutExport = require('./lib/layout-export.js');
+var sprintf = require('sprintf-js').sprintf;
 
 var opts = require("nomnom")
    .option('layout', {
@@ -31,16 +43,55 @@ var opts = require("nomnom")
       help: 'Stroke width for points'
    })
    .option('width', {
-      default: 2604,
-      help: 'Width of SVG, in pixels'
+      help: 'Width of SVG, in pixels [default: fit the backdrop and layout]'
    })
    .option('height', {
-      default: 1738,
-      help: 'Height of SVG, in pixels'
+      help: 'Height of SVG, in pixels [default: fit the backdrop and layout]'
+   })
+   .option('config', {
+      default: 'fcserver.json',
+      help: 'fcserver config from mapper-2d.js, for grouping LEDs by device and strip'
+   })
+   .option('channel', {
+      default: 0,
+      help: 'OPC channel of the layout, for Fadecandy pixels in the config and any that are not'
+   })
+   .option('data', {
+      abbr: 'd',
+      help: 'Data directory from photographer.js, for the backdrop'
+   })
+   .option('backdrop', {
+      abbr: 'b',
+      help: 'Background image: "dark" for the dark frame, "lightmaps" for every LED lit, or a PNG or RAW file'
+   })
+   .option('backdropscale', {
+      default: 2,
+      help: 'Log2 of how much to downsample a lightmaps backdrop by'
+   })
+   .option('strips', {
+      flag: true,
+      default: true,
+      help: 'Draw strips as polylines, use --no-strips to leave them out'
+   })
+   .option('labels', {
+      flag: true,
+      default: true,
+      help: 'Label each LED with device/strip/position, use --no-labels to leave them out'
+   })
+   .option('fontsize', {
+      default: 8,
+      help: 'Font size for labels'
    })
    .parse();
 
 
+// Layers with this class are only there for reference, and never read back
+var DECORATION_CLASS = 'svgmap-decoration';
+
+// Color per device layer
+var PALETTE = [ '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324' ];
+
+
 function coordLayoutToSVG(node)
 {
     if (node && node.point) {
@@ -62,25 +113,180 @@ function ledIdString(index)
 }
 
 
-function svgFromLayout(layout)
+function loadBackdrop(callback)
+{
+    /*
+     * Calls back with the --backdrop as an embeddable PNG, { href, width, height }
+     * in image pixels, or null if there isn't one. Developing photos needs dcraw
+     * and netpbm, so those modules are only loaded here.
+     */
+
+    if (!opts.backdrop) {
+        return callback(null, null);
+    }
+    if ((opts.backdrop == 'dark' || opts.backdrop == 'lightmaps') && !opts.data) {
+        return callback("A " + opts.backdrop + " backdrop needs --data");
+    }
+
+    var develop = require('./lib/develop.js');
+    var pnm = require('./lib/pnm.js');
+
+    function encode(data, width, height) {
+        develop.encodePNG(data, function (err, png) {
+            if (err) return callback(err);
+            callback(null, {
+                href: 'data:image/png;base64,' + png.toString('base64'),
+                width: width,
+                height: height,
+            });
+        });
+    }
+
+    if (opts.backdrop == 'lightmaps') {
+        var preview = require('./lib/preview.js');
+        return preview.load(opts.data, { scale: opts.backdropscale }, function (err, renderer) {
+            if (err) return callback(err);
+            var image = renderer.render(function () { return [255, 255, 255]; });
+            var factor = 1 << opts.backdropscale;
+            encode(renderer.toPNM(image), renderer.width * factor, renderer.height * factor);
+        });
+    }
+
+    var file = opts.backdrop;
+    if (opts.backdrop == 'dark') {
+        var json = JSON.parse(fs.readFileSync(path.join(opts.data, 'photos.json')));
+        var darkFrames = (json.darkFrames || []).filter(function (jDark) {
+            return jDark && jDark.rawFile;
+        });
+        if (!darkFrames.length) {
+            return callback("No dark frames in " + opts.data);
+        }
+        file = path.join(opts.data, darkFrames[darkFrames.length - 1].rawFile);
+    }
+
+    develop.displayImage(file, function (err, data) {
+        if (err) return callback(err);
+        try {
+            var image = pnm.parse(data);
+        } catch (e) {
+            return callback(e);
+        }
+        encode(data, image.width, image.height);
+    });
+}
+
+
+function addLayer(parent, id, label, decoration)
+{
+    // A top-level group that Inkscape and Illustrator both treat as a layer
+
+    var g = parent.node('g').attr({
+        id: id,
+        'inkscape:groupmode': 'layer',
+        'inkscape:label': label,
+    });
+    if (decoration) {
+        g.attr({ 'class': DECORATION_CLASS });
+    }
+    return g;
+}
+
+
+function svgFromLayout(layout, infos, backdrop)
 {
     var svg = libxmljs.parseXml(
         '<?xml version="1.0" encoding="utf-8"?>' +
         '<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">' +
-        '<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" xml:space="preserve"></svg>');
+        '<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+        ' xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"' +
+        ' xmlns:sodipodi="http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd" xml:space="preserve"></svg>');
+    var root = svg.root();
 
-    svg.root().attr({
-        width: opts.width,
-        height: opts.height,
+    // Points, and the area they and the backdrop cover
+    var points = layout.map(coordLayoutToSVG);
+    var margin = opts.stroke * 4;
+    var x0 = 0, y0 = 0;
+    var x1 = backdrop ? backdrop.width : 0, y1 = backdrop ? backdrop.height : 0;
+    points.forEach(function (xy) {
+        if (xy) {
+            x0 = Math.min(x0, xy.x - margin);
+            y0 = Math.min(y0, xy.y - margin);
+            x1 = Math.max(x1, xy.x + margin);
+            y1 = Math.max(y1, xy.y + margin);
+        }
     });
 
-    for (var i = 0; i < layout.length; i++) {
-        var xy = coordLayoutToSVG(layout[i]);
-        if (xy) {
-            svg.root().node('line').attr({
+    if (opts.width != null || opts.height != null) {
+        root.attr({ width: opts.width || x1, height: opts.height || y1 });
+    } else {
+        root.attr({
+            width: x1 - x0,
+            height: y1 - y0,
+            viewBox: [x0, y0, x1 - x0, y1 - y0].join(' '),
+        });
+    }
+
+    if (backdrop) {
+        addLayer(root, 'backdrop', 'Backdrop', true).attr({ 'sodipodi:insensitive': 'true' })
+            .node('image').attr({
+                x: 0,
+                y: 0,
+                width: backdrop.width,
+                height: backdrop.height,
+                'xlink:href': backdrop.href,
+            });
+    }
+
+    // Group LEDs by device, and by strip within each device
+    var devices = {};
+    var deviceOrder = [];
+    points.forEach(function (xy, i) {
+        if (!xy) {
+            return;
+        }
+        var info = infos[i];
+        var device = devices[info.device];
+        if (!device) {
+            device = devices[info.device] = { color: PALETTE[deviceOrder.length % PALETTE.length], strips: {}, leds: [] };
+            deviceOrder.push(info.device);
+        }
+        device.leds.push(i);
+        (device.strips[info.stripIndex] = device.strips[info.stripIndex] || []).push(i);
+    });
+
+    if (opts.strips) {
+        var stripLayer = addLayer(root, 'strips', 'Strips', true);
+        deviceOrder.forEach(function (name) {
+            var device = devices[name];
+            for (var strip in device.strips) {
+                var leds = device.strips[strip].sort(function (a, b) {
+                    return infos[a].stripPosition - infos[b].stripPosition;
+                });
+                if (leds.length < 2) {
+                    continue;
+                }
+                stripLayer.node('polyline').attr({
+                    id: 'strip-' + name + '-' + strip,
+                    fill: 'none',
+                    stroke: device.color,
+                    'stroke-width': opts.stroke / 4,
+                    points: leds.map(function (i) {
+                        return points[i].x + ',' + points[i].y;
+                    }).join(' '),
+                });
+            }
+        });
+    }
+
+    deviceOrder.forEach(function (name) {
+        var device = devices[name];
+        var g = addLayer(root, 'device-' + name, name, false);
+        device.leds.forEach(function (i) {
+            var xy = points[i];
+            g.node('line').attr({
                 id: ledIdString(i),
                 fill: 'none',
-                stroke: '#000000',
+                stroke: device.color,
                 'stroke-width': opts.stroke,
                 'stroke-linecap': 'round',
                 x1: xy.x,
@@ -88,26 +294,184 @@ function svgFromLayout(layout)
                 y1: xy.y,
                 y2: xy.y,
             });
-        }
+        });
+    });
+
+    if (opts.labels) {
+        var labelLayer = addLayer(root, 'labels', 'Labels', true);
+        deviceOrder.forEach(function (name) {
+            var device = devices[name];
+            device.leds.forEach(function (i) {
+                var info = infos[i];
+                labelLayer.node('text', sprintf('%s/%d/%d', info.device, info.stripIndex, info.stripPosition)).attr({
+                    id: 'label-' + i,
+                    x: points[i].x + opts.stroke,
+                    y: points[i].y - opts.stroke,
+                    fill: device.color,
+                    'font-family': 'sans-serif',
+                    'font-size': opts.fontsize,
+                });
+            });
+        });
     }
 
     return svg;
 }
 
 
+function multiplyTransforms(a, b)
+{
+    // Compose two SVG transforms [a b c d e f], applying 'b' first
+    return [
+        a[0] * b[0] + a[2] * b[1],
+        a[1] * b[0] + a[3] * b[1],
+        a[0] * b[2] + a[2] * b[3],
+        a[1] * b[2] + a[3] * b[3],
+        a[0] * b[4] + a[2] * b[5] + a[4],
+        a[1] * b[4] + a[3] * b[5] + a[5],
+    ];
+}
+
+
+function applyTransform(m, xy)
+{
+    return {
+        x: m[0] * xy.x + m[2] * xy.y + m[4],
+        y: m[1] * xy.x + m[3] * xy.y + m[5],
+    };
+}
+
+
+function parseTransform(text)
+{
+    /*
+     * Parse an SVG transform attribute, a list like "translate(10,20) rotate(45)",
+     * into a single [a b c d e f] matrix.
+     */
+
+    var m = [1, 0, 0, 1, 0, 0];
+    var re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    var match;
+
+    while ((match = re.exec(text || ''))) {
+        var args = match[2].split(/[\s,]+/).filter(function (s) { return s.length; }).map(Number);
+        var t;
+
+        switch (match[1]) {
+
+            case 'matrix':
+                t = args;
+                break;
+
+            case 'translate':
+                t = [1, 0, 0, 1, args[0], args[1] || 0];
+                break;
+
+            case 'scale':
+                t = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+                break;
+
+            case 'rotate':
+                var a = args[0] * Math.PI / 180;
+                var cx = args[1] || 0, cy = args[2] || 0;
+                t = multiplyTransforms(
+                    multiplyTransforms([1, 0, 0, 1, cx, cy], [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]),
+                    [1, 0, 0, 1, -cx, -cy]);
+                break;
+
+            case 'skewX':
+                t = [1, 0, Math.tan(args[0] * Math.PI / 180), 1, 0, 0];
+                break;
+
+            case 'skewY':
+                t = [1, Math.tan(args[0] * Math.PI / 180), 0, 1, 0, 0];
+                break;
+        }
+
+        if (t.length != 6 || t.some(isNaN)) {
+            throw "Can't parse SVG transform: " + text;
+        }
+        m = multiplyTransforms(m, t);
+    }
+
+    return m;
+}
+
+
+function elementTransform(node)
+{
+    // Transform from an element's own coordinates to the document's, through all enclosing groups
+
+    var m = [1, 0, 0, 1, 0, 0];
+    node.find('ancestor-or-self::*').forEach(function (element) {
+        var attr = element.attr('transform');
+        if (attr) {
+            m = multiplyTransforms(m, parseTransform(attr.value()));
+        }
+    });
+    return m;
+}
+
+
+function numberAttr(node, name)
+{
+    var attr = node.attr(name);
+    return attr ? +attr.value() : 0;
+}
+
+
+function elementCenter(node)
+{
+    /*
+     * Position of an LED's element in its own coordinates, or null if it's been
+     * turned into something we can't read a single point from. Besides our own
+     * lines, editors sometimes leave circles, ellipses or rectangles.
+     */
+
+    switch (node.name()) {
+
+        case 'line':
+            // Normally zero-length, but use the midpoint in case it's been stretched
+            return {
+                x: (numberAttr(node, 'x1') + numberAttr(node, 'x2')) / 2,
+                y: (numberAttr(node, 'y1') + numberAttr(node, 'y2')) / 2,
+            };
+
+        case 'circle':
+        case 'ellipse':
+            return { x: numberAttr(node, 'cx'), y: numberAttr(node, 'cy') };
+
+        case 'rect':
+            return {
+                x: numberAttr(node, 'x') + numberAttr(node, 'width') / 2,
+                y: numberAttr(node, 'y') + numberAttr(node, 'height') / 2,
+            };
+    }
+
+    return null;
+}
+
+
 function updateLayout(layout, svg)
 {
     for (var i = 0; i < layout.length; i++) {
         if (layout[i] && layout[i].point) {
-            var node = svg.get("//xmlns:line[@id='" + ledIdString(i) + "']", 'http://www.w3.org/2000/svg');
-            if (node) {
-                coordSVGToLayout({
-                    x: +node.attr('x1').value(),
-                    y: +node.attr('y1').value(),
-                }, layout[i]);
-            } else {
+            var node = svg.get("//*[@id='" + ledIdString(i) + "'][not(ancestor::*[@class='" + DECORATION_CLASS + "'])]");
+            if (!node) {
                 console.log("Missing element for LED " + i);
+                continue;
+            }
+
+            var xy = elementCenter(node);
+            if (!xy) {
+                console.log("LED " + i + " was converted to a <" + node.name() + ">, leaving it where it was");
+                continue;
             }
+            if (node.name() != 'line') {
+                console.log("LED " + i + " was converted to a <" + node.name() + ">, using its center");
+            }
+
+            coordSVGToLayout(applyTransform(elementTransform(node), xy), layout[i]);
         }
     }
 }
@@ -121,7 +485,15 @@ function updateLayout(layout, svg)
         fs.writeFileSync(opts.layout, JSON.stringify(layout, null, '\t') + '\n');
         console.log("Updated layout " + opts.layout);
     } else {
-        fs.writeFileSync(opts.svg, svgFromLayout(layout).toString());
-        console.log("Created " + opts.svg);
+        loadBackdrop(function (err, backdrop) {
+            if (err) {
+                console.log(err);
+                process.exit(1);
+            }
+            var config = fs.existsSync(opts.config) ? JSON.parse(fs.readFileSync(opts.config)) : {};
+            var infos = layoutExport.ledInfoMap(layout, config, opts.channel);
+            fs.writeFileSync(opts.svg, svgFromLayout(layout, infos, backdrop).toString());
+            console.log("Created " + opts.svg);
+        });
     }
 })();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/*
+ * Measure how well a mapping run reproduced a synthetic scene.
+ *
+ * After photographing a synthetic scene with "photographer.js --camera synthetic"
+ * and generating a layout with mapper-2d.js (unscaled, not centered), this compares
+ * each LED's mapped point against the scene's ground truth, by way of the
+ * fcserver config that says which LED each OPC pixel belongs to.
+ *
+ * Exits with an error if any LED is off by more than --tolerance pixels,
+ * or if any LED in the scene went missing, so it can catch regressions.
+ *
+ * Copyright (c) 2015 Micah Elizabeth Scott
+ * Released under the MIT license, see the accompanying LICENSE file.
+ */
+
+var fadecandy = require('./lib/fadecandy.js');
+var synthetic = require('./lib/synthetic-scene.js');
+var fs = require('fs');
+var sprintf = require('sprintf-js').sprintf;
+
+var opts = require("nomnom")
+   .option('scene', {
+      position: 0,
+      required: true,
+      help: 'Scene description used for the synthetic camera'
+   })
+   .option('layout', {
+      default: 'layout.json',
+      help: 'Layout generated by mapper-2d.js'
+   })
+   .option('config', {
+      default: 'fcserver.json',
+      help: 'fcserver config generated by mapper-2d.js'
+   })
+   .option('tolerance', {
+      abbr: 't',
+      help: 'Fail if any LED is further than this from the truth, in pixels'
+   })
+   .option('worst', {
+      default: 10,
+      help: 'How many of the worst LEDs to list'
+   })
+   .parse();
+
+
+var scene = synthetic.load(opts.scene);
+var layout = JSON.parse(fs.readFileSync(opts.layout));
+var pixels = fadecandy.devicePixelsFromConfig(JSON.parse(fs.readFileSync(opts.config)));
+
+var results = [];
+var extra = [];
+var found = {};
+
+for (var i = 0; i < layout.length; i++) {
+    if (!layout[i] || !layout[i].point || !pixels[i]) {
+        continue;
+    }
+
+    var led = pixels[i];
+    var truth = scene.truth(led.device, led.index);
+    if (!truth) {
+        // Mapped an LED that isn't in the scene at all
+        extra.push(led.string);
+        continue;
+    }
+
+    var dx = layout[i].point[0] - truth.point[0];
+    var dy = layout[i].point[1] - truth.point[1];
+    found[led.string] = true;
+    results.push({ led: led.string, error: Math.sqrt(dx*dx + dy*dy) });
+}
+
+var missing = Object.keys(scene.leds).filter(function (name) {
+    return !found[name];
+});
+
+results.sort(function (a, b) { return b.error - a.error; });
+
+var sum = 0, sum2 = 0;
+for (var i = 0; i < results.length; i++) {
+    sum += results[i].error;
+    sum2 += results[i].error * results[i].error;
+}
+
+console.log(sprintf("Matched %d of %d LEDs, %d missing, %d extra",
+    results.length, Object.keys(scene.leds).length, missing.length, extra.length));
+
+if (results.length) {
+    console.log(sprintf("Centroid error: mean %.3f, RMS %.3f, max %.3f pixels",
+        sum / results.length, Math.sqrt(sum2 / results.length), results[0].error));
+}
+
+for (var i = 0; i < Math.min(opts.worst, results.length); i++) {
+    console.log(sprintf("  %s  %.3f", results[i].led, results[i].error));
+}
+
+if (missing.length) {
+    console.log("Missing: " + missing.join(' '));
+}
+if (extra.length) {
+    console.log("Extra: " + extra.join(' '));
+}
+
+if (missing.length || (opts.tolerance != null && results.length && results[0].error > opts.tolerance)) {
+    process.exit(1);
+}